@@ -17,9 +17,54 @@ const fileInput       = document.getElementById('fileInput');
 const prevBtn         = document.getElementById('prevPage');
 const nextBtn         = document.getElementById('nextPage');
 const zoomSelect      = document.getElementById('zoomSelect');
+const unitSelect      = document.getElementById('unitSelect');
+const originSelect    = document.getElementById('originSelect');
+const flipXChk        = document.getElementById('flipX');
+const flipYChk        = document.getElementById('flipY');
+const boxSelect       = document.getElementById('boxSelect');
+const showBoxesChk    = document.getElementById('showBoxes');
+const rotLeftBtn      = document.getElementById('rotateLeft');
+const rotRightBtn     = document.getElementById('rotateRight');
+const frameSelect     = document.getElementById('frameSelect');
+const modeSelect      = document.getElementById('modeSelect');
+const pageAnchorSelect = document.getElementById('pageAnchorSelect');
+const tikzOptsInput   = document.getElementById('tikzOptions');
+const calibrateBtn    = document.getElementById('calibrateBtn');
+const uncalibrateBtn  = document.getElementById('uncalibrateBtn');
+const calOption       = unitSelect.querySelector('option[value="cal"]');
+const precisionInput  = document.getElementById('precision');
+const snapInput       = document.getElementById('snapStep');
+const formatSelect    = document.getElementById('formatSelect');
+const templatesBtn    = document.getElementById('templatesBtn');
+const templateOverlay = document.getElementById('templateOverlay');
+const templateList    = document.getElementById('templateList');
+const addTemplateBtn  = document.getElementById('addTemplateBtn');
+const blockWidthOpt   = document.getElementById('blockWidthOpt');
+const blockWidthInput = document.getElementById('blockWidth');
+const unitLengthOpt   = document.getElementById('unitLengthOpt');
+const unitLengthInput = document.getElementById('unitLength');
+const toolSelect      = document.getElementById('toolSelect');
+const rectOutputSelect = document.getElementById('rectOutput');
+const pathOutputSelect = document.getElementById('pathOutput');
+const circleOutputSelect = document.getElementById('circleOutput');
+const previewSelect   = document.getElementById('previewSelect');
+const previewOpts     = document.getElementById('previewOpts');
+const previewTextInput = document.getElementById('previewText');
+const previewFontInput = document.getElementById('previewFont');
+const previewLineInput = document.getElementById('previewLine');
+const previewVecInput = document.getElementById('previewVec');
+const pointList       = document.getElementById('pointList');
+const pointsEmpty     = document.getElementById('pointsEmpty');
+const clearPointsBtn  = document.getElementById('clearPointsBtn');
+const pointExport     = document.getElementById('pointExport');
+const copyPointsBtn   = document.getElementById('copyPointsBtn');
 const autoCopyChk     = document.getElementById('autoCopy');
 const retainViewport  = document.getElementById('retainViewport');
 const helpBtn         = document.getElementById('helpBtn');
+const sessionsBtn     = document.getElementById('sessionsBtn');
+const sessionOverlay  = document.getElementById('sessionOverlay');
+const sessionList     = document.getElementById('sessionList');
+const sessionsEmpty   = document.getElementById('sessionsEmpty');
 const helpOverlay     = document.getElementById('helpOverlay');
 const wrapper         = document.getElementById('canvasWrapper');
 const pdfCanvas       = document.getElementById('pdfCanvas');
@@ -32,20 +77,1402 @@ const tooltip         = document.getElementById('tooltip');
 
 // State
 let pdfDoc    = null, pdfData = null, pageNum = 1;
+let pdfName   = '';               // file name of the loaded PDF
 let scale     = parseFloat(zoomSelect.value);
 const DPR         = window.devicePixelRatio || 1;
-const PDF_UNIT_CM = 0.0352778;
 const TT_OFFSET   = 8;       // constant screen px distance
+let unit      = unitSelect.value;
 let lastCssX = 0, lastCssY = 0;
+let hover     = false;   // crosshair shown
 let copyTimeout = null;
+let curPage = null, curVp = null; // rendered page & its viewport
+let frame     = null;             // geometry of the rendered page, see pageGeometry()
+let viewRotation = 0;             // extra view rotation on top of /Rotate, degrees
+let pageBoxes = null;             // {boxes, defined} of the rendered page
+let rawData   = null;             // bytes of the loaded PDF
+let rawObjects = null;            // Promise<Map> of its raw objects, indexed on first use
+let pageCache = new Map();        // page number → Promise<{page, boxes}> of the loaded document
+let customOrigin = null;          // [x,y] in PDF user space
+let originBefore = originSelect.value;  // origin setting a dropdown change started from
+let anchor    = null;             // [x,y] in PDF user space, for relative readouts
+let pictureM  = null, pictureInv = null;  // tikzpicture transform & inverse, null = identity
+let calib     = null;             // {p1, p2 (PDF user space), r1, r2 | dist, label}
+let pageLabels = null;            // page labels of the document, if any
+let copyCounter = 1;              // {n} in copy templates
+let pickCallback = null, pickPrompt = '';  // consumes the next canvas click
+let pickCancelled = null;         // called if that pick is cancelled instead
+let shape     = null;             // {tool, page, pts: [[x,y], …] in PDF user space, building} of the capture tool
+let drag      = null;             // index of the shape point following the mouse
+let swallowClick = false;         // the click ending a drag is not a capture
+let points    = [];               // captured {page, pdf: [x,y] in PDF user space, name, coord}
+let undoStack = [], redoStack = [];  // snapshots of {points, shape}
+let selected  = null;             // selected point, moved by Alt+arrows
+let movingPoint = null;           // point being dragged
+let pressState  = null;           // snapshot from the mousedown, recorded if the drag changes anything
+let sessionId = null, saveTimer = null;  // stored session of the loaded document, once restored
 
 // Discrete zoom steps
 const zoomSteps = Array.from(zoomSelect.options).map(o => parseFloat(o.value));
 
+// Output units per PDF point (PostScript bp, 1/72in); digits = default precision
+const UNITS = {
+  mm: { perPt: 25.4/72,         digits: 1 },
+  cm: { perPt: 2.54/72,         digits: 2 },
+  in: { perPt: 1/72,            digits: 3 },
+  bp: { perPt: 1,               digits: 1 },
+  pt: { perPt: 72.27/72,        digits: 1 },  // TeX point, 72.27 per inch
+  pc: { perPt: 72.27/72/12,     digits: 2 },  // TeX pica = 12pt
+  sp: { perPt: 72.27/72*65536,  digits: 0 },  // TeX scaled point = 1/65536pt
+  px: { perPt: 96/72,           digits: 1 },  // CSS pixel, 96 per inch
+};
+
+/** toFixed without a negative zero */
+function fixed(v, digits) {
+  const s = v.toFixed(digits);
+  return /^-0(\.0*)?$/.test(s) ? s.slice(1) : s;
+}
+
+// Decimal places per unit ('cal' = calibrated), user adjustable
+const precision = { cal: 2 };
+for (const u in UNITS) precision[u] = UNITS[u].digits;
+
+/** Format a length in PDF points in the current unit */
+function fmtLen(pt) {
+  return `${fixed(pt*UNITS[unit].perPt, precision[unit])}${unit}`;
+}
+
+/** CSS px on the canvas → PDF user space */
+function cssToPdf(x, y) {
+  return curVp.convertToPdfPoint(x, y);
+}
+
+/** PDF user space → CSS px on the canvas */
+function pdfToCss(ux, uy) {
+  return curVp.convertToViewportPoint(ux, uy);
+}
+
+/**
+ * PDF user space → page position (pt from the reference box's top-left, in the logical frame),
+ * on the rendered page or the one a pageGeometry() describes
+ */
+function pdfToPage(ux, uy, g = frame) {
+  const [fx, fy] = g.vp.convertToViewportPoint(ux, uy);
+  return [fx-g.box.x, fy-g.box.y];
+}
+
+/** CSS px → page position */
+function cssToPage(x, y) {
+  return pdfToPage(...cssToPdf(x, y));
+}
+
+/** Page position (pt from the reference box's top-left, in the logical frame) → CSS px */
+function pageToCss(px, py) {
+  return pdfToCss(...frame.vp.convertToPdfPoint(frame.box.x+px, frame.box.y+py));
+}
+
+/** Size of the reference box in the logical frame, pt */
+function pageSize(g = frame) {
+  return [g.box.w, g.box.h];
+}
+
+/** Origin (pt from top-left) and positive axis directions for the chosen origin & flips */
+function originFrame(g = frame) {
+  const [W, H] = pageSize(g);
+  let f;
+  switch (originSelect.value) {
+    case 'bl':     f = { ox:0, oy:H, sx:1, sy:-1 }; break;
+    case 'c':      f = { ox:W/2, oy:H/2, sx:1, sy:-1 }; break;
+    case 'custom': {
+      const [ox, oy] = customOrigin ? pdfToPage(...customOrigin, g) : [0, 0];
+      f = { ox, oy, sx:1, sy:-1 }; break;
+    }
+    default:       f = { ox:0, oy:0, sx:1, sy:1 };   // top-left, y down
+  }
+  if (flipXChk.checked) f.sx = -f.sx;
+  if (flipYChk.checked) f.sy = -f.sy;
+  return f;
+}
+
+// — tikzpicture transform —
+// Matrices are [a,b,c,d,e,f] as in PDF: x' = a·x + c·y + e, y' = b·x + d·y + f.
+
+/** Matrix product: apply n, then m */
+function mulM(m, n) {
+  return [m[0]*n[0]+m[2]*n[1], m[1]*n[0]+m[3]*n[1],
+          m[0]*n[2]+m[2]*n[3], m[1]*n[2]+m[3]*n[3],
+          m[0]*n[4]+m[2]*n[5]+m[4], m[1]*n[4]+m[3]*n[5]+m[5]];
+}
+
+/** Inverse matrix, null if singular */
+function invM([a, b, c, d, e, f]) {
+  const det = a*d - b*c;
+  if (Math.abs(det) < 1e-12) return null;
+  return [d/det, -b/det, -c/det, a/det, (c*f-d*e)/det, (b*e-a*f)/det];
+}
+
+/** Apply a matrix to a point */
+function applyM(m, x, y) {
+  return [m[0]*x + m[2]*y + m[4], m[1]*x + m[3]*y + m[5]];
+}
+
+/** Split at top-level separators, outside {} and () */
+function splitTop(s, sep = ',') {
+  const out = [];
+  let depth = 0, cur = '';
+  for (const ch of s) {
+    if (ch==='{' || ch==='(') depth++;
+    else if (ch==='}' || ch===')') depth--;
+    if (ch===sep && depth===0) { out.push(cur); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur);
+  return out.map(t => t.trim()).filter(Boolean);
+}
+
+/** Strip enclosing braces */
+function unbrace(s) {
+  s = s.trim();
+  while (s.startsWith('{') && s.endsWith('}')) s = s.slice(1, -1).trim();
+  return s;
+}
+
+/** Parse a plain number, NaN if it isn't one */
+function parseNum(s) {
+  return /^[-+]?(?:\d+\.?\d*|\.\d+)$/.test(s.trim()) ? parseFloat(s) : NaN;
+}
+
+/** Parse a TeX length to PDF points; unitless numbers use defUnit */
+function parseLen(s, defUnit) {
+  const m = /^([-+]?(?:\d+\.?\d*|\.\d+))\s*(cm|mm|in|pt|bp|pc|sp)?$/.exec(s.trim());
+  return m ? parseFloat(m[1]) / UNITS[m[2] ?? defUnit].perPt : NaN;
+}
+
+/** Parse a TikZ coordinate `(x,y)` or `(θ:r)` to PDF points; unitless means cm */
+function parseCoord(s) {
+  s = unbrace(s);
+  if (!s.startsWith('(') || !s.endsWith(')')) return null;
+  const polar = splitTop(s.slice(1, -1), ':');
+  if (polar.length===2) {
+    const a = parseNum(polar[0])*Math.PI/180, r = parseLen(polar[1], 'cm');
+    return isFinite(a) && isFinite(r) ? [r*Math.cos(a), r*Math.sin(a)] : null;
+  }
+  const xy = splitTop(s.slice(1, -1)).map(v => parseLen(v, 'cm'));
+  return xy.length===2 && xy.every(isFinite) ? xy : null;
+}
+
+/** Whether a coordinate refers to a node or named coordinate, e.g. `(current page.north west)` */
+function isNamedCoord(s) {
+  s = unbrace(s);
+  if (!s.startsWith('(') || !s.endsWith(')')) return false;
+  const inner = s.slice(1, -1).trim();
+  return inner.startsWith('$') || (splitTop(inner).length===1 && splitTop(inner, ':').length===1 && !isFinite(parseLen(inner, 'cm')));
+}
+
+/** Rotation matrix, degrees */
+function rotM(deg) {
+  const a = deg*Math.PI/180, c = Math.cos(a), s = Math.sin(a);
+  return [c, s, -s, c, 0, 0];
+}
+
+/** Matrix of one tikzpicture option; null if malformed, undefined if not a transform */
+function optionMatrix(key, val) {
+  const n = parseNum(val);
+  const num = m => isFinite(n) ? m : null;
+  switch (key) {
+    case 'shift':  {
+      // shifts to nodes depend on the document; the origin setting covers those
+      if (isNamedCoord(val)) return undefined;
+      const p = parseCoord(val); return p && [1,0,0,1,p[0],p[1]];
+    }
+    case 'xshift': { const l = parseLen(val, 'pt'); return isFinite(l) ? [1,0,0,1,l,0] : null; }
+    case 'yshift': { const l = parseLen(val, 'pt'); return isFinite(l) ? [1,0,0,1,0,l] : null; }
+    case 'scale':  return num([n,0,0,n,0,0]);
+    case 'xscale': return num([n,0,0,1,0,0]);
+    case 'yscale': return num([1,0,0,n,0,0]);
+    case 'xslant': return num([1,0,n,1,0,0]);
+    case 'yslant': return num([1,n,0,1,0,0]);
+    case 'rotate': return num(rotM(n));
+    case 'rotate around': {
+      const [a, c] = splitTop(val, ':'), p = c && parseCoord(c), deg = parseNum(a ?? '');
+      if (!p || !isFinite(deg)) return null;
+      return mulM([1,0,0,1,p[0],p[1]], mulM(rotM(deg), [1,0,0,1,-p[0],-p[1]]));
+    }
+    case 'cm': {
+      const v = splitTop(val), p = v[4] && parseCoord(v[4]), abcd = v.slice(0, 4).map(parseNum);
+      return v.length===5 && p && abcd.every(isFinite) ? [...abcd, p[0], p[1]] : null;
+    }
+  }
+}
+
+/**
+ * Parse tikzpicture options into their transformation matrix.
+ * Later options act first, as in TikZ. Returns {m, ignored} or {error}.
+ */
+function parsePictureOptions(str) {
+  let m = [1,0,0,1,0,0];
+  const ignored = [];
+  for (const opt of splitTop(str)) {
+    const eq  = opt.indexOf('=');
+    const key = (eq<0 ? opt : opt.slice(0, eq)).trim().replace(/\s+/g, ' ');
+    // x=/y= set the unit vectors of unitless coordinates, which have no matrix here
+    if (key==='x' || key==='y') return { error: `“${opt}” changes the ${key} unit vector, which is not supported` };
+    const t   = optionMatrix(key, eq<0 ? '' : unbrace(opt.slice(eq+1)));
+    if (t===undefined) { ignored.push(key); continue; }
+    if (!t) return { error: `Cannot parse “${opt}”` };
+    m = mulM(m, t);
+  }
+  return { m, ignored };
+}
+
+/** Page position (pt from top-left) → coordinates (pt) relative to the origin, in the picture frame */
+function pageToPicture(px, py, g = frame) {
+  const { ox, oy, sx, sy } = originFrame(g);
+  const c = [(px-ox)*sx, (py-oy)*sy];
+  return pictureInv ? applyM(pictureInv, ...c) : c;
+}
+
+/** Coordinates (pt) in the picture frame → page position */
+function pictureToPage(cx, cy) {
+  const { ox, oy, sx, sy } = originFrame();
+  if (pictureM) [cx, cy] = applyM(pictureM, cx, cy);
+  return [ox+cx*sx, oy+cy*sy];
+}
+
+// — Calibration —
+// Two clicked points with known real-world coordinates define a similarity
+// transform (scale, rotation, shift) from the picture frame; two points cannot
+// tell a reflection apart, so the user says whether the real y axis points up
+// on the page. With only their distance, the first point becomes the origin
+// and the frame's axes are kept.
+
+/** Whether readouts are in the calibrated system */
+function calibrated() {
+  return !!calib && unitSelect.value==='cal';
+}
+
+/** Whether the picture frame's handedness differs from the real-world system's */
+function calibMirrored(g = frame) {
+  // the frame shows y up on the page when its axes make a negative determinant there (page y is down)
+  const { sx, sy } = originFrame(g), det = pictureM ? pictureM[0]*pictureM[3] - pictureM[1]*pictureM[2] : 1;
+  return (sx*sy*det < 0)!==calib.yUp;
+}
+
+/** Calibration matrix from picture-frame pt to real-world units, null if degenerate */
+function calibMatrix(g = frame) {
+  const D  = calib.r1 && calibMirrored(g) ? [1,0,0,-1,0,0] : [1,0,0,1,0,0];   // fit in a mirrored frame
+  const c1 = applyM(D, ...pageToPicture(...pdfToPage(...calib.p1, g), g));
+  const c2 = applyM(D, ...pageToPicture(...pdfToPage(...calib.p2, g), g));
+  const dx = c2[0]-c1[0], dy = c2[1]-c1[1], d2 = dx*dx + dy*dy;
+  if (!d2) return null;
+  if (!calib.r1) {
+    const k = calib.dist/Math.sqrt(d2);
+    return [k, 0, 0, k, -k*c1[0], -k*c1[1]];
+  }
+  // complex a = (r2-r1)/(c2-c1), b = r1 - a·c1
+  const ux = calib.r2[0]-calib.r1[0], uy = calib.r2[1]-calib.r1[1];
+  const ar = (ux*dx + uy*dy)/d2, ai = (uy*dx - ux*dy)/d2;
+  return mulM([ar, ai, -ai, ar, calib.r1[0] - (ar*c1[0] - ai*c1[1]), calib.r1[1] - (ar*c1[1] + ai*c1[0])], D);
+}
+
+/** Page position → output coordinates: picture frame pt, or calibrated units */
+function pageToCoord(px, py, g = frame) {
+  const c = pageToPicture(px, py, g), m = calibrated() && calibMatrix(g);
+  return m ? applyM(m, ...c) : c;
+}
+
+/** Output coordinates → page position */
+function coordToPage(cx, cy) {
+  const m = calibrated() && calibMatrix(), inv = m && invM(m);
+  return inv ? pictureToPage(...applyM(inv, cx, cy)) : pictureToPage(cx, cy);
+}
+
+/** Number part of an output coordinate value, in the current unit */
+function coordNum(v) {
+  return calibrated() ? fixed(v, precision.cal) : fixed(v*UNITS[unit].perPt, precision[unit]);
+}
+
+/** Unit suffix of output coordinate values */
+function coordUnit() {
+  return calibrated() ? calib.label : unit;
+}
+
+/** Parse `x,y` (comma or space separated), null if malformed */
+function parsePair(s) {
+  const v = (s ?? '').trim().split(/[\s,;]+/).map(parseNum);
+  return v.length===2 && v.every(isFinite) ? v : null;
+}
+
+/** Show/hide the calibrated unit; the session stores the calibration */
+function applyCalibration() {
+  calOption.hidden = calOption.disabled = uncalibrateBtn.hidden = !calib;
+  if (calib) { calOption.textContent = `calibrated${calib.label ? ` (${calib.label})` : ''}`; unitSelect.value = 'cal'; }
+  else if (unitSelect.value==='cal') unitSelect.value = unit;
+  syncPrecision();
+  refreshOverlays();
+}
+
+/** Calibrate: click two points and enter their real-world coordinates or distance */
+function startCalibration() {
+  pickPoint('Calibration: click point 1', (x1, y1)=>{
+    const p1 = cssToPdf(x1, y1);
+    const s1 = prompt('Real-world coordinates of point 1 as "x, y"\n(leave empty to calibrate by distance only)', '');
+    if (s1===null) return refreshOverlays();
+    const r1 = parsePair(s1);
+    if (s1.trim() && !r1) { alert('Expected two numbers, e.g. "120, 45.5"'); return refreshOverlays(); }
+    pickPoint('Calibration: click point 2', (x2, y2)=>{
+      const p2 = cssToPdf(x2, y2);
+      const next = { p1, p2, label: '' };
+      if (r1) {
+        next.r1 = r1;
+        next.r2 = parsePair(prompt('Real-world coordinates of point 2 as "x, y"', ''));
+        if (!next.r2) return refreshOverlays();
+        const dir = prompt('Does the real-world y axis point up or down on the page?\n(up: as on maps and drawings; down: as on screens)', 'up');
+        if (dir===null) return refreshOverlays();
+        if (!/^(up|down)$/i.test(dir.trim())) { alert('Expected "up" or "down"'); return refreshOverlays(); }
+        next.yUp = /^up$/i.test(dir.trim());
+      } else {
+        next.dist = parseNum(prompt('Real-world distance between the points', '') ?? '');
+        if (!(next.dist > 0)) return refreshOverlays();
+      }
+      next.label = (prompt('Unit label appended to values (optional, e.g. m)', calib?.label ?? '') ?? '').trim();
+      calib = next;
+      applyCalibration();
+    });
+    refreshOverlays();
+  });
+  refreshOverlays();
+}
+
+/** Polar center in output coordinates: the anchor if set, else the origin */
+function polarCenter() {
+  return anchor ? pageToCoord(...pdfToPage(...anchor)) : [0, 0];
+}
+
+/** Angle of a vector in degrees, 0–360 */
+function angleDeg(dx, dy) {
+  return (Math.atan2(dy, dx)*180/Math.PI + 360) % 360;
+}
+
+// TikZ `current page` anchors, as fractions of the page size from the top-left
+const PAGE_ANCHORS = {
+  'north west': [0,0],  'north':  [0.5,0],   'north east': [1,0],
+  'west':       [0,0.5], 'center': [0.5,0.5], 'east':       [1,0.5],
+  'south west': [0,1],  'south':  [0.5,1],   'south east': [1,1],
+};
+
+/**
+ * The chosen (or nearest) page anchor for a position from the MediaBox's top-left
+ * (pdfToMedia): {name, x, y} in pt from there. TikZ's `current page` is the physical
+ * page, whatever the reference box.
+ */
+function pageAnchorFor(px, py) {
+  const { w: W, h: H } = mediaRect();
+  const names = pageAnchorSelect.value==='nearest' ? Object.keys(PAGE_ANCHORS) : [pageAnchorSelect.value];
+  let best = null;
+  for (const name of names) {
+    const [fx, fy] = PAGE_ANCHORS[name], x = fx*W, y = fy*H, d = Math.hypot(px-x, py-y);
+    if (!best || d < best.d) best = { name, x, y, d };
+  }
+  return best;
+}
+
+/** Whether the readout is relative to the anchor */
+function isRelative() {
+  return !!anchor && (modeSelect.value==='rel' || modeSelect.value==='relplus');
+}
+
+/**
+ * Readout for a CSS px position on the canvas: the coordinate `text` and its
+ * two components, with unit (`x`, `y`) and bare (`xn`, `yn`).
+ */
+function readoutAt(x, y) {
+  const pair = (text, xn, yn, u)=>({ text, xn, yn, unit:u, x:xn+u, y:yn+u });
+  if (modeSelect.value==='page') {
+    // TikZ shifts: x right, y up
+    const [px, py] = pdfToMedia(...cssToPdf(x, y)), a = pageAnchorFor(px, py);
+    const xn = fixed((px-a.x)*UNITS[unit].perPt, precision[unit]);
+    const yn = fixed((a.y-py)*UNITS[unit].perPt, precision[unit]);
+    return pair(`([xshift=${xn}${unit},yshift=${yn}${unit}]current page.${a.name})`, xn, yn, unit);
+  }
+  const u = coordUnit();
+  const [cx, cy] = pageToCoord(...cssToPage(x, y));
+  if (modeSelect.value==='polar') {
+    const [ax, ay] = polarCenter(), dx = cx-ax, dy = cy-ay;
+    const t = fixed(angleDeg(dx, dy), 1), r = coordNum(Math.hypot(dx, dy));
+    return { text:`${anchor?'+':''}(${t}:${r}${u})`, xn:t, yn:r, unit:u, x:t, y:r+u };
+  }
+  if (isRelative()) {
+    const [ax, ay] = pageToCoord(...pdfToPage(...anchor));
+    const prefix   = modeSelect.value==='rel' ? '++' : '+';
+    const xn = coordNum(cx-ax), yn = coordNum(cy-ay);
+    return pair(`${prefix}(${xn}${u},${yn}${u})`, xn, yn, u);
+  }
+  const xn = coordNum(cx), yn = coordNum(cy);
+  return pair(`(${xn}${u},${yn}${u})`, xn, yn, u);
+}
+
+/** Coordinate string for a CSS px position on the canvas */
+function coordTextAt(x, y) {
+  return readoutAt(x, y).text;
+}
+
+// — Copy templates —
+// Placeholders: {coord} the coordinate as shown, {x} {y} its components with
+// unit, {xn} {yn} without, {unit}, {page}, {label} page label, {n} a counter.
+
+const BUILTIN_TEMPLATES = [
+  { name: 'Coordinate',      tpl: '{coord}' },
+  { name: 'TikZ node',       tpl: '\\node at {coord} {};' },
+  { name: 'TikZ coordinate', tpl: '\\coordinate (p{n}) at {coord};' },
+];
+const TEMPLATES_KEY = 'pdfjs-coordinates:templates';
+let userTemplates = loadTemplates();
+let formats = [];   // entries of the copy format dropdown, by option value
+
+// — Output profiles —
+// Formats that compute their own output from the page position, instead of
+// filling a template; render(x, y) takes CSS px on the canvas.
+
+// Typst alignment per origin, with its position as fractions of the page size
+const TYPST_ALIGN = {
+  tl: ['top + left',       0,   0],
+  bl: ['bottom + left',    0,   1],
+  c:  ['horizon + center', 0.5, 0.5],
+};
+
+/** Length for Typst, which lacks TeX pt/pc/sp and px: those become its (PostScript) pt */
+function typstLen(pt) {
+  return ['mm','cm','in'].includes(unit) ? fmtLen(pt) : `${fixed(pt, precision.bp)}pt`;
+}
+
+/** Length for LaTeX: CSS px becomes bp */
+function texLen(pt) {
+  return unit==='px' ? `${fixed(pt, precision.bp)}bp` : fmtLen(pt);
+}
+
+/** The MediaBox as a pt rect in the page frame (with /Rotate), with that frame's viewport */
+function mediaRect() {
+  const vp = curPage.getViewport({ scale: 1, rotation: curPage.rotate });
+  return { vp, ...boxRect(pageBoxes.boxes.MediaBox, vp) };
+}
+
+/**
+ * PDF user space → pt from the MediaBox's top-left in the page frame (with /Rotate),
+ * y down: the physical page TeX packages such as textpos and eso-pic measure from.
+ */
+function pdfToMedia(ux, uy) {
+  const m = mediaRect(), [fx, fy] = m.vp.convertToViewportPoint(ux, uy);
+  return [fx-m.x, fy-m.y, m.w, m.h];
+}
+
+/** Position from the MediaBox's top-left in the page frame → CSS px */
+function mediaToCss(mx, my) {
+  const m = mediaRect();
+  return pdfToCss(...m.vp.convertToPdfPoint(m.x+mx, m.y+my));
+}
+
+/** Length typed into a profile option field (PDF points), marking it invalid if it isn't one */
+function optionLen(input, defUnit) {
+  const v = parseLen(input.value, defUnit);
+  input.classList.toggle('invalid', !(v > 0));
+  return v > 0 ? v : parseLen(input.defaultValue, defUnit);
+}
+
+const PROFILES = [
+  { name: 'Typst place', render(x, y) {
+    // dx right, dy down from the alignment point; custom origins fall back to top-left
+    const [px, py] = cssToPage(x, y), [W, H] = pageSize();
+    const [align, fx, fy] = TYPST_ALIGN[originSelect.value] ?? TYPST_ALIGN.tl;
+    return `place(${align}, dx: ${typstLen(px-fx*W)}, dy: ${typstLen(py-fy*H)})[]`;
+  } },
+  { name: 'textpos textblock*', option: blockWidthOpt, render(x, y) {
+    // absolute textpos: from the physical page's top-left, y down, whatever the reference box
+    const [px, py] = pdfToMedia(...cssToPdf(x, y)), w = optionLen(blockWidthInput, 'cm');
+    return `\\begin{textblock*}{${texLen(w)}}(${texLen(px)},${texLen(py)})\n\n\\end{textblock*}`;
+  } },
+  { name: 'eso-pic \\put (bp)', render(x, y) {
+    // bp from the physical page's bottom-left, whatever the reference box
+    const [px, py, , H] = pdfToMedia(...cssToPdf(x, y));
+    return `\\AddToShipoutPictureFG*{\\setlength{\\unitlength}{1bp}\\put(${fixed(px, precision.bp)},${fixed(H-py, precision.bp)}){}}`;
+  } },
+  { name: 'picture \\put', option: unitLengthOpt, render(x, y) {
+    // from the chosen origin with picture axes (x right, y up), in \unitlength
+    const [px, py] = cssToPage(x, y), { ox, oy } = originFrame(), ul = optionLen(unitLengthInput, 'pt');
+    return `\\put(${fixed((px-ox)/ul, precision[unit])},${fixed((oy-py)/ul, precision[unit])}){}`;
+  } },
+  // PDF libraries work in unrotated PDF user space, whatever the view settings
+  { name: 'ReportLab drawString', render(x, y) {
+    const [ux, uy] = cssToPdf(x, y);
+    return `canvas.drawString(${pdfNum(ux)}, ${pdfNum(uy)}, "Text")`;
+  } },
+  { name: 'PyMuPDF Point / Rect', render(x, y) {
+    // top-left of the unrotated CropBox, y down; a Rect from the anchor if one is set
+    const c = pageBoxes.boxes.CropBox, fitzPt = ([ux, uy])=>[ux-c[0], c[3]-uy];
+    const [x1, y1] = fitzPt(cssToPdf(x, y));
+    if (!anchor) return `fitz.Point(${pdfNum(x1)}, ${pdfNum(y1)})`;
+    const [x0, y0] = fitzPt(anchor);
+    return `fitz.Rect(${[Math.min(x0,x1), Math.min(y0,y1), Math.max(x0,x1), Math.max(y0,y1)].map(pdfNum).join(', ')})`;
+  } },
+  { name: 'pdf-lib drawText', render(x, y) {
+    const [ux, uy] = cssToPdf(x, y);
+    return `page.drawText('Text', { x: ${pdfNum(ux)}, y: ${pdfNum(uy)} })`;
+  } },
+];
+
+/** A PDF user space value for code output */
+function pdfNum(v) {
+  return fixed(v, precision.bp);
+}
+
+/** Show the option fields of the selected profile only */
+function syncFormatOptions() {
+  const f = activeFormat();
+  for (const p of PROFILES) if (p.option) p.option.hidden = p.option!==f.option;
+}
+
+/** Stored user templates */
+function loadTemplates() {
+  try { return JSON.parse(localStorage.getItem(TEMPLATES_KEY)) || []; }
+  catch { return []; }
+}
+
+/** Store user templates */
+function saveTemplates() {
+  try { localStorage.setItem(TEMPLATES_KEY, JSON.stringify(userTemplates)); }
+  catch { /* storage unavailable */ }
+}
+
+/** Rebuild the copy format dropdown, keeping the selection */
+function buildFormatSelect() {
+  const active = formats[+formatSelect.value];
+  formats = [...BUILTIN_TEMPLATES, ...userTemplates, ...PROFILES];
+  const group = (label, items)=>{
+    const g = document.createElement('optgroup');
+    g.label = label;
+    for (const f of items) g.append(new Option(f.name || '(unnamed)', formats.indexOf(f)));
+    return g;
+  };
+  formatSelect.replaceChildren(group('Templates', BUILTIN_TEMPLATES));
+  if (userTemplates.length) formatSelect.append(group('My templates', userTemplates));
+  formatSelect.append(group('Profiles', PROFILES));
+  formatSelect.value = Math.max(0, formats.indexOf(active));
+}
+
+/** The selected copy format */
+function activeFormat() {
+  return formats[+formatSelect.value] ?? formats[0];
+}
+
+/** Fill a template's placeholders from a readout */
+function renderTemplate(tpl, r) {
+  const vals = {
+    coord: r.text, x: r.x, y: r.y, xn: r.xn, yn: r.yn, unit: r.unit,
+    page: pageNum, label: pageLabels?.[pageNum-1] ?? pageNum, n: copyCounter,
+  };
+  return tpl.replace(/\{(\w+)\}/g, (m, k)=>k in vals ? vals[k] : m);
+}
+
+/** Text to copy for a CSS px position, advancing {n} if the template uses it */
+function copyTextAt(x, y) {
+  const f = activeFormat();
+  if (f.render) return f.render(x, y);
+  const txt = renderTemplate(f.tpl, readoutAt(x, y));
+  if (f.tpl.includes('{n}')) copyCounter++;
+  return txt;
+}
+
+/** Fill the template editor with the user templates */
+function renderTemplateList() {
+  templateList.replaceChildren(...userTemplates.map((t, i)=>{
+    const row  = document.createElement('div');
+    const name = Object.assign(document.createElement('input'), { type:'text', value:t.name, placeholder:'Name', className:'tplName' });
+    const text = Object.assign(document.createElement('input'), { type:'text', value:t.tpl, placeholder:'\\node at ({x},{y}) {};', className:'tplText' });
+    const del  = Object.assign(document.createElement('button'), { textContent:'✕', title:'Delete Template' });
+    name.addEventListener('input', ()=>{ t.name = name.value; templatesChanged(); });
+    text.addEventListener('input', ()=>{ t.tpl = text.value; templatesChanged(); });
+    del.addEventListener('click', ()=>{ userTemplates.splice(i, 1); templatesChanged(); renderTemplateList(); });
+    row.className = 'templateRow';
+    row.append(name, text, del);
+    return row;
+  }));
+}
+
+/** Persist edited templates and refresh the dropdown */
+function templatesChanged() {
+  saveTemplates();
+  buildFormatSelect();
+}
+
+/** Quantization step in output units (pt, or calibrated units), 0 = off */
+function snapStep() {
+  const s = snapInput.value.trim();
+  if (!s) return 0;
+  // page-anchor shifts are lengths in the unit even when calibrated
+  const v = calibrated() && modeSelect.value!=='page' ? parseNum(s) : parseLen(s, unit);
+  return v > 0 ? v : 0;
+}
+
+/** Snap a CSS px position to the quantization grid of the current readout */
+function snapCss(x, y) {
+  const step = snapStep();
+  if (!step) return [x, y];
+  const q = v => Math.round(v/step)*step;
+  if (modeSelect.value==='page') {
+    const [px, py] = pdfToMedia(...cssToPdf(x, y)), a = pageAnchorFor(px, py);
+    return mediaToCss(a.x + q(px-a.x), a.y + q(py-a.y));
+  }
+  // relative readouts snap offsets from the anchor
+  const [cx, cy] = pageToCoord(...cssToPage(x, y));
+  const [gx, gy] = anchor && modeSelect.value!=='abs' ? pageToCoord(...pdfToPage(...anchor)) : [0, 0];
+  return pageToCss(...coordToPage(gx + q(cx-gx), gy + q(cy-gy)));
+}
+
+/** One snap step along the output x axis, in CSS px (1 without snapping) */
+function snapStepCss() {
+  const step = snapStep();
+  if (!step) return 1;
+  if (modeSelect.value==='page') return Math.max(1, step*scale);
+  const [x0, y0] = pageToCss(...coordToPage(0, 0)), [x1, y1] = pageToCss(...coordToPage(step, 0));
+  return Math.max(1, Math.hypot(x1-x0, y1-y0));
+}
+
+/** Show the precision of the current unit */
+function syncPrecision() {
+  precisionInput.value = precision[calibrated() ? 'cal' : unit];
+}
+
+/** Let the next canvas click call fn(cssX, cssY) instead of copying; a pending pick is cancelled */
+function pickPoint(prompt, fn, cancelled = null) {
+  if (pickCallback) cancelPick();
+  pickPrompt = prompt; pickCallback = fn; pickCancelled = cancelled;
+  coordsDiv.textContent = prompt;
+}
+
+/** Drop the pending pick */
+function cancelPick() {
+  const fn = pickCancelled;
+  pickCallback = pickCancelled = null; pickPrompt = '';
+  fn?.();
+}
+
+// — Clipboard —
+// Clicks write text/plain (the copied string), text/html and a JSON payload.
+// Browsers only accept custom types with the `web ` prefix; where that is
+// unsupported the payload is dropped, and plain text is the last resort.
+
+const JSON_TYPE = 'web application/json';
+
+/** Structured description of a CSS px position for the clipboard */
+function pointPayload(x, y, text) {
+  const [ux, uy] = cssToPdf(x, y), [px, py] = cssToPage(x, y), [cx, cy] = pageToPicture(px, py);
+  const units = {};
+  for (const u in UNITS) units[u] = { x: cx*UNITS[u].perPt, y: cy*UNITS[u].perPt };
+  const m = calib && calibMatrix(), real = m && applyM(m, cx, cy);
+  return {
+    text, format: activeFormat().name,
+    page: pageNum, pageLabel: pageLabels?.[pageNum-1] ?? String(pageNum),
+    box: { name: boxSelect.value, rect: pageBoxes.boxes[boxSelect.value] },
+    rotation: { page: curPage.rotate, view: viewRotation, frame: frameSelect.value },
+    scale,
+    pdf: { x: ux, y: uy },
+    pagePt: { x: px, y: py },
+    origin: originSelect.value,
+    coordinates: units,
+    calibrated: real ? { x: real[0], y: real[1], unit: calib.label } : null,
+  };
+}
+
+/** Escape text for HTML */
+function escapeHtml(s) {
+  return s.replace(/[&<>"]/g, c=>({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;' })[c]);
+}
+
+/** Copy text with its HTML and JSON flavours, falling back to plain text */
+async function writeClipboard(text, payload) {
+  const html = text.includes('\n') ? `<pre>${escapeHtml(text)}</pre>` : `<code>${escapeHtml(text)}</code>`;
+  const data = { 'text/plain': text, 'text/html': html };
+  if (window.ClipboardItem?.supports?.(JSON_TYPE)) data[JSON_TYPE] = JSON.stringify(payload);
+  try {
+    const blobs = {};
+    for (const t in data) blobs[t] = new Blob([data[t]], { type: t });
+    await navigator.clipboard.write([new ClipboardItem(blobs)]);
+  } catch {
+    await navigator.clipboard.writeText(text).catch(()=>{});
+  }
+}
+
+// — Capture tools —
+// Shapes are kept in PDF user space, so they survive zoom and rotation; their
+// readout and snippet are rebuilt with the current unit, origin and transform.
+
+/** Output coordinates of a PDF user space point, on the rendered page or the one g describes */
+function coordOf([ux, uy], g = frame) {
+  return pageToCoord(...pdfToPage(ux, uy, g), g);
+}
+
+/** Absolute coordinate string of output coordinates */
+function fmtCoord(cx, cy) {
+  const u = coordUnit();
+  return `(${coordNum(cx)}${u},${coordNum(cy)}${u})`;
+}
+
+/** A length in output coordinates, with unit */
+function coordLen(v) {
+  return `${coordNum(v)}${coordUnit()}`;
+}
+
+/** Output coordinates → CSS px */
+function coordToCss(cx, cy) {
+  return pageToCss(...coordToPage(cx, cy));
+}
+
+/** Rectangle bounds in output coordinates, plus its corner at the top-left on the page */
+function rectBounds(s) {
+  const [ax, ay] = coordOf(s.pts[0]), [bx, by] = coordOf(s.pts[1]);
+  const x0 = Math.min(ax, bx), y0 = Math.min(ay, by), x1 = Math.max(ax, bx), y1 = Math.max(ay, by);
+  const corners = [[x0,y0], [x1,y0], [x1,y1], [x0,y1]];
+  const key = c=>{ const [px, py] = coordToPage(...c); return px+py; };
+  const nw = corners.reduce((a, c)=>key(c) < key(a) ? c : a);
+  return { x0, y0, x1, y1, w: x1-x0, h: y1-y0, corners, nw };
+}
+
+/** Stroke an outline through CSS px points, with a handle on each given point */
+function strokeShape(pts, closed, handles) {
+  overlayCtx.strokeStyle = overlayCtx.fillStyle = 'rgba(255,255,255,0.9)';
+  overlayCtx.lineWidth = 1.5;
+  overlayCtx.setLineDash([]);
+  overlayCtx.beginPath();
+  pts.forEach(([x, y], i)=>i ? overlayCtx.lineTo(x, y) : overlayCtx.moveTo(x, y));
+  if (closed) overlayCtx.closePath();
+  overlayCtx.stroke();
+  for (const [x, y] of handles) overlayCtx.fillRect(x-2.5, y-2.5, 5, 5);
+}
+
+/** Circle/ellipse center and radii in output coordinates; a circle has rx = ry */
+function circleRadii(s) {
+  const [cx, cy] = coordOf(s.pts[0]), [ex, ey] = coordOf(s.pts[1]);
+  if (circleOutputSelect.value==='circle') { const r = Math.hypot(ex-cx, ey-cy); return { cx, cy, rx: r, ry: r }; }
+  return { cx, cy, rx: Math.abs(ex-cx), ry: Math.abs(ey-cy) };
+}
+
+/** Whether the path output is closed with `-- cycle` */
+function pathClosed() {
+  return pathOutputSelect.value==='polygon';
+}
+
+// Capture tools; press(p) starts a shape at a PDF user space point and returns
+// the index of the point to drag, click(p) adds to a shape being built,
+// info() is the live readout, snippet() the copy.
+const TOOLS = {
+  point: { name: 'Point' },
+  rect: {
+    name: 'Rectangle', option: rectOutputSelect,
+    press(p) { shape = { tool: 'rect', page: pageNum, pts: [p, p] }; return 1; },
+    valid(s) { const b = rectBounds(s); return b.w > 0 && b.h > 0; },
+    info(s) {
+      const b = rectBounds(s), u = coordUnit();
+      return `x=${coordNum(b.nw[0])}${u}, y=${coordNum(b.nw[1])}${u}, w=${coordLen(b.w)}, h=${coordLen(b.h)}`;
+    },
+    snippet(s) {
+      const b = rectBounds(s);
+      switch (rectOutputSelect.value) {
+        case 'node': {
+          // node sizes ignore the picture transform and calibration: the page extent, as a TeX length
+          const pg = b.corners.map(c=>coordToPage(...c)), xs = pg.map(c=>c[0]), ys = pg.map(c=>c[1]);
+          const x0 = Math.min(...xs), y0 = Math.min(...ys), w = Math.max(...xs)-x0, h = Math.max(...ys)-y0;
+          return `\\node[minimum width=${texLen(w)}, minimum height=${texLen(h)}, anchor=north west] at ${fmtCoord(...pageToCoord(x0, y0))} {};`;
+        }
+        case 'textblock': {
+          // textpos: from the physical page's top-left, y down
+          const [ax, ay] = pdfToMedia(...s.pts[0]), [bx, by] = pdfToMedia(...s.pts[1]);
+          return `\\begin{textblock*}{${texLen(Math.abs(bx-ax))}}(${texLen(Math.min(ax, bx))},${texLen(Math.min(ay, by))})\n\n\\end{textblock*}`;
+        }
+        default:
+          return `\\draw ${fmtCoord(...coordOf(s.pts[0]))} rectangle ${fmtCoord(...coordOf(s.pts[1]))};`;
+      }
+    },
+    draw(s) {
+      strokeShape(rectBounds(s).corners.map(c=>coordToCss(...c)), true, s.pts.map(p=>pdfToCss(...p)));
+    },
+  },
+  path: {
+    name: 'Path', option: pathOutputSelect,
+    click(p) {
+      const s = shownShape();
+      if (s?.tool!=='path' || !s.building) { shape = { tool: 'path', page: pageNum, pts: [p], building: true }; return; }
+      // the second click of a double-click lands on the last vertex
+      const [x0, y0] = pdfToCss(...s.pts.at(-1)), [x1, y1] = pdfToCss(...p);
+      if (Math.hypot(x1-x0, y1-y0) >= 1) s.pts.push(p);
+    },
+    valid(s) { return s.pts.length >= (pathClosed() ? 3 : 2); },
+    info(s) {
+      const c = s.pts.map(p=>coordOf(p));
+      if (pathClosed() && !s.building) c.push(c[0]);
+      let len = 0;
+      for (let i = 1; i < c.length; i++) len += Math.hypot(c[i][0]-c[i-1][0], c[i][1]-c[i-1][1]);
+      return `${s.pts.length} vertices, length ${coordLen(len)}${s.building ? ' (Enter or double-click finishes)' : ''}`;
+    },
+    snippet(s) {
+      return `\\draw ${s.pts.map(p=>fmtCoord(...coordOf(p))).join(' -- ')}${pathClosed() ? ' -- cycle' : ''};`;
+    },
+    draw(s) {
+      const pts = s.pts.map(p=>pdfToCss(...p));
+      strokeShape(pts, pathClosed() && !s.building, pts);
+      if (s.building && hover) drawRubberBand(pts.at(-1));
+    },
+  },
+  curve: {
+    name: 'Curve',
+    // pts: start, control 1, control 2, end; controls start on the chord's thirds
+    click(p) {
+      const s = shownShape();
+      if (s?.tool!=='curve' || !s.building) { shape = { tool: 'curve', page: pageNum, pts: [p], building: true }; return; }
+      const [a] = s.pts, third = k=>[a[0]+(p[0]-a[0])*k/3, a[1]+(p[1]-a[1])*k/3];
+      s.pts = [a, third(1), third(2), p];
+      finishShape();
+    },
+    valid(s) { return s.pts.length===4 && (s.pts[0][0]!==s.pts[3][0] || s.pts[0][1]!==s.pts[3][1]); },
+    info(s) {
+      if (s.building) return 'click the end point';
+      const [, c1, c2] = s.pts.map(p=>fmtCoord(...coordOf(p)));
+      return `controls ${c1} and ${c2} (drag the handles)`;
+    },
+    snippet(s) {
+      const [a, c1, c2, b] = s.pts.map(p=>fmtCoord(...coordOf(p)));
+      return `\\draw ${a} .. controls ${c1} and ${c2} .. ${b};`;
+    },
+    draw(s) {
+      const pts = s.pts.map(p=>pdfToCss(...p));
+      if (s.building) {
+        strokeShape(pts, false, pts);
+        if (hover) drawRubberBand(pts[0]);
+        return;
+      }
+      const [a, c1, c2, b] = pts;
+      // affine maps keep Bézier curves, so CSS px control points are exact
+      strokeShape([], false, [a, b]);
+      overlayCtx.beginPath();
+      overlayCtx.moveTo(...a);
+      overlayCtx.bezierCurveTo(...c1, ...c2, ...b);
+      overlayCtx.stroke();
+      // control arms & handles
+      overlayCtx.lineWidth = 1;
+      overlayCtx.setLineDash([2,3]);
+      overlayCtx.beginPath();
+      overlayCtx.moveTo(...a); overlayCtx.lineTo(...c1);
+      overlayCtx.moveTo(...b); overlayCtx.lineTo(...c2);
+      overlayCtx.stroke();
+      overlayCtx.setLineDash([]);
+      overlayCtx.beginPath();
+      for (const [x, y] of [c1, c2]) { overlayCtx.moveTo(x+4, y); overlayCtx.arc(x, y, 4, 0, 2*Math.PI); }
+      overlayCtx.stroke();
+    },
+  },
+  circle: {
+    name: 'Circle', option: circleOutputSelect,
+    // pts: center, and the point dragged to
+    press(p) { shape = { tool: 'circle', page: pageNum, pts: [p, p] }; return 1; },
+    valid(s) { const c = circleRadii(s); return c.rx > 0 && c.ry > 0; },
+    info(s) {
+      const c = circleRadii(s), at = `center ${fmtCoord(c.cx, c.cy)}`;
+      return circleOutputSelect.value==='circle' ? `${at}, r=${coordLen(c.rx)}` : `${at}, rx=${coordLen(c.rx)}, ry=${coordLen(c.ry)}`;
+    },
+    snippet(s) {
+      const c = circleRadii(s);
+      return circleOutputSelect.value==='circle'
+        ? `\\draw ${fmtCoord(c.cx, c.cy)} circle (${coordLen(c.rx)});`
+        : `\\draw ${fmtCoord(c.cx, c.cy)} ellipse (${coordLen(c.rx)} and ${coordLen(c.ry)});`;
+    },
+    draw(s) {
+      // sampled in output coordinates, so it follows flips, slants and calibration
+      const c = circleRadii(s), pts = [];
+      for (let i = 0, n = 72; i < n; i++) {
+        const a = 2*Math.PI*i/n;
+        pts.push(coordToCss(c.cx + c.rx*Math.cos(a), c.cy + c.ry*Math.sin(a)));
+      }
+      strokeShape(pts, true, s.pts.map(p=>pdfToCss(...p)));
+    },
+  },
+};
+
+/** Dashed line from a CSS px point to the crosshair */
+function drawRubberBand([x, y]) {
+  overlayCtx.setLineDash([4,3]);
+  overlayCtx.lineWidth = 1;
+  overlayCtx.beginPath();
+  overlayCtx.moveTo(x, y);
+  overlayCtx.lineTo(lastCssX, lastCssY);
+  overlayCtx.stroke();
+}
+
+/** The selected capture tool */
+function activeTool() {
+  return TOOLS[toolSelect.value] ?? TOOLS.point;
+}
+
+/** The capture tool's shape, if it is on the shown page */
+function shownShape() {
+  return shape && shape.page===pageNum ? shape : null;
+}
+
+/** Live readout of the shown shape, e.g. `Rectangle: x=…`, or null */
+function shapeInfo() {
+  return shownShape() && `${TOOLS[shape.tool].name}: ${TOOLS[shape.tool].info(shape)}`;
+}
+
+/** Show the option field of the selected tool only */
+function syncToolOptions() {
+  for (const t of Object.values(TOOLS)) if (t.option) t.option.hidden = t!==activeTool();
+}
+
+/** Flash “Copied: …” in the tooltip */
+function showCopied(txt) {
+  clearTimeout(copyTimeout);
+  tooltip.textContent = `Copied: ${txt}`;
+  copyTimeout = setTimeout(()=>tooltip.style.display='none', 1200);
+}
+
+/** Index of the shown shape's point at a CSS px position, or null */
+function shapePointAt(x, y) {
+  const s = shownShape();
+  if (!s || s.building) return null;
+  const i = s.pts.findIndex(p=>{ const [px, py] = pdfToCss(...p); return Math.hypot(px-x, py-y) <= 6; });
+  return i<0 ? null : i;
+}
+
+/** Copy the shape's snippet */
+function copyShape() {
+  const s = shownShape();
+  if (!s || s.building || !TOOLS[s.tool].valid(s)) return;
+  const txt = TOOLS[s.tool].snippet(s);
+  writeClipboard(txt, {
+    text: txt, tool: s.tool, page: pageNum, pageLabel: pageLabels?.[pageNum-1] ?? String(pageNum),
+    pdf: s.pts.map(([x, y])=>({ x, y })), coordinates: s.pts.map(p=>coordOf(p)), unit: coordUnit(),
+  });
+  showCopied(txt);
+}
+
+/** Finish the shape: drop it if degenerate, else auto-copy */
+function finishShape() {
+  drag = null;
+  delete shape.building;
+  if (!TOOLS[shape.tool].valid(shape)) shape = null;
+  else if (autoCopyChk.checked) copyShape();
+  refreshOverlays();
+}
+
+// — Primitive preview —
+// A node, arrow or rectangle drawn at the crosshair at its size on the page:
+// font size, line width and extent are lengths, so the preview scales with zoom.
+
+/** Extent of the previewed arrow or rectangle, picture-frame pt; the field is a TikZ coordinate */
+function previewVector() {
+  const v = parseCoord(previewVecInput.value);
+  previewVecInput.classList.toggle('invalid', !v);
+  return v ?? parseCoord(previewVecInput.defaultValue);
+}
+
+/** Preview of the chosen primitive at the crosshair */
+function drawPreview() {
+  const [px, py] = cssToPage(lastCssX, lastCssY);
+  const lw = optionLen(previewLineInput, 'pt');
+  overlayCtx.strokeStyle = overlayCtx.fillStyle = 'rgba(255,255,255,0.9)';
+  overlayCtx.lineWidth = lw*scale;
+  overlayCtx.setLineDash([]);
+
+  if (previewSelect.value==='node') {
+    // nodes ignore the picture transform: upright on the page, centered
+    const fs = optionLen(previewFontInput, 'pt')*scale, sep = 0.3333*fs;  // TikZ's inner sep
+    const [x0, y0] = pageToCss(px, py), [x1, y1] = pageToCss(px+1, py);
+    overlayCtx.save();
+    overlayCtx.translate(lastCssX, lastCssY);
+    overlayCtx.rotate(Math.atan2(y1-y0, x1-x0));
+    overlayCtx.font = `${fs}px "Latin Modern Roman", "Computer Modern", serif`;
+    overlayCtx.textAlign = 'center'; overlayCtx.textBaseline = 'middle';
+    overlayCtx.fillText(previewTextInput.value, 0, 0);
+    const w = overlayCtx.measureText(previewTextInput.value).width + 2*sep, h = fs + 2*sep;
+    overlayCtx.lineWidth = 1;
+    overlayCtx.setLineDash([2,2]);
+    overlayCtx.strokeRect(-w/2, -h/2, w, h);
+    overlayCtx.restore();
+    return;
+  }
+
+  // arrow & rectangle span the vector in the picture frame, like `++(dx,dy)`
+  const [vx, vy] = previewVector(), [cx, cy] = pageToPicture(px, py);
+  const at = (dx, dy)=>pageToCss(...pictureToPage(cx+dx, cy+dy));
+  if (previewSelect.value==='arrow') {
+    // tip at the crosshair: \draw[<-] (x,y) -- ++(dx,dy)
+    const [tx, ty] = at(vx, vy);
+    drawArrow(tx, ty, lastCssX, lastCssY, (2 + 3*lw)*scale);
+    return;
+  }
+  const pts = [at(0, 0), at(vx, 0), at(vx, vy), at(0, vy)];
+  overlayCtx.beginPath();
+  pts.forEach(([x, y], i)=>i ? overlayCtx.lineTo(x, y) : overlayCtx.moveTo(x, y));
+  overlayCtx.closePath();
+  overlayCtx.stroke();
+}
+
+// — History —
+// Undo/redo keeps whole snapshots of the captured points and the tool shape;
+// they are small, and the overlay and panel are simply redrawn from them.
+
+/** Deep copy of the editable state */
+function snapshot() {
+  return structuredClone({ points, shape });
+}
+
+/** Record the state before a change (or a snapshot taken earlier) */
+function pushHistory(state = snapshot()) {
+  undoStack.push(state);
+  if (undoStack.length > 200) undoStack.shift();
+  redoStack = [];
+  scheduleSave();
+}
+
+/** Record a snapshot taken before an edit, unless the edit left the state as it was */
+function pushHistoryIfChanged(state) {
+  if (JSON.stringify(state)!==JSON.stringify(snapshot())) pushHistory(state);
+}
+
+/** Make a snapshot the current state */
+function restoreSnapshot(s) {
+  const i = points.indexOf(selected);
+  ({ points, shape } = s);
+  selected = points[i] ?? null;
+  drag = movingPoint = null;
+  renderPointList();
+  refreshOverlays();
+}
+
+/** Undo the last change */
+function undo() {
+  if (!undoStack.length || drag!=null || movingPoint) return;
+  redoStack.push(snapshot());
+  restoreSnapshot(undoStack.pop());
+}
+
+/** Redo the last undone change */
+function redo() {
+  if (!redoStack.length || drag!=null || movingPoint) return;
+  undoStack.push(snapshot());
+  restoreSnapshot(redoStack.pop());
+}
+
+// — Captured points —
+// Point-tool clicks are kept with their page and stay marked on it. Boxes and
+// /Rotate differ per page, so points on other pages are converted with their
+// own page's geometry (its page and boxes are fetched once) under the current settings.
+
+/** Capture a point at a CSS px position */
+function addPoint(x, y) {
+  pushHistory();
+  points.push({ page: pageNum, pdf: cssToPdf(x, y), name: '', coord: '' });
+  renderPointList();
+  drawOverlay();
+}
+
+/** Recompute the coordinates of all points: the shown page's now, other pages' once loaded */
+function updatePointCoords() {
+  if (!curVp) return;
+  const others = new Set(), doc = pdfDoc;
+  for (const p of points) {
+    if (p.page===pageNum) p.coord = fmtCoord(...coordOf(p.pdf));
+    else others.add(p.page);
+  }
+  showPointCoords();
+  for (const num of others) {
+    loadPage(num).then(({ page, boxes })=>{
+      if (pdfDoc!==doc) return;
+      const g = pageGeometry(page, boxes);
+      for (const p of points) if (p.page===num) p.coord = fmtCoord(...coordOf(p.pdf, g));
+      showPointCoords();
+    }, ()=>{});
+  }
+}
+
+/** Show the points' coordinates in the list and the export block */
+function showPointCoords() {
+  points.forEach((p, i)=>{
+    const cell = pointList.children[i]?.querySelector('.ptCoord');
+    if (cell && cell.textContent!==p.coord) cell.textContent = p.coord;
+  });
+  updatePointExport();
+}
+
+/** TikZ name of a point: its own, with characters TikZ reserves replaced, or p<number> */
+function pointName(p, i) {
+  return p.name.trim().replace(/[.,()]/g, '-') || `p${i+1}`;
+}
+
+/** Unique TikZ names of all points; repeats get -2, -3, … appended */
+function pointNames() {
+  const seen = new Set();
+  return points.map((p, i)=>{
+    const base = pointName(p, i);
+    let name = base;
+    for (let k = 2; seen.has(name); k++) name = `${base}-${k}`;
+    seen.add(name);
+    return name;
+  });
+}
+
+/** Flag point names TikZ can't use or that repeat another point's */
+function markPointNames() {
+  const count = new Map();
+  points.forEach((p, i)=>count.set(pointName(p, i), (count.get(pointName(p, i)) ?? 0) + 1));
+  points.forEach((p, i)=>{
+    const input = pointList.children[i]?.querySelector('.ptName');
+    if (!input) return;
+    const title = /[.,()]/.test(p.name) ? 'TikZ names cannot contain . , ( )'
+      : count.get(pointName(p, i)) > 1 ? 'Another point has this name; the export numbers the repeats' : '';
+    input.classList.toggle('invalid', !!title);
+    input.title = title;
+  });
+}
+
+/** Fill the export block: a \\coordinate per point, grouped by page */
+function updatePointExport() {
+  const pages = [...new Set(points.map(p=>p.page))].sort((a, b)=>a-b), names = pointNames();
+  const text = pages.map(pg=>[
+    `% page ${pageLabels?.[pg-1] ?? pg}`,
+    ...points.flatMap((p, i)=>p.page===pg ? [`\\coordinate (${names[i]}) at ${p.coord};`] : []),
+  ].join('\n')).join('\n\n');
+  if (pointExport.value!==text) pointExport.value = text;
+  pointExport.hidden = copyPointsBtn.hidden = !points.length;
+  markPointNames();
+}
+
+/** Captured point whose marker is at a CSS px position on the shown page, or null */
+function pointAt(x, y) {
+  for (let i = points.length-1; i >= 0; i--) {
+    const p = points[i];
+    if (p.page!==pageNum) continue;
+    const [px, py] = pdfToCss(...p.pdf);
+    if (Math.hypot(px-x, py-y) <= 7) return p;
+  }
+  return null;
+}
+
+/** Select a point (null deselects), highlighting its marker and row */
+function selectPoint(p) {
+  selected = p;
+  [...pointList.children].forEach((row, i)=>row.classList.toggle('selected', points[i]===selected));
+  drawOverlay();
+}
+
+/** Move a point by CSS px, snapped like the crosshair */
+function nudgePoint(p, dx, dy) {
+  pushHistory();
+  const [x, y] = pdfToCss(...p.pdf);
+  const w = overlayCanvas.width/DPR, h = overlayCanvas.height/DPR;
+  const [sx, sy] = snapCss(Math.max(0, Math.min(x+dx, w)), Math.max(0, Math.min(y+dy, h)));
+  p.pdf = cssToPdf(sx, sy);
+  updatePointCoords();
+  drawOverlay();
+}
+
+/** Fill the points panel */
+function renderPointList() {
+  if (!points.includes(selected)) selected = null;
+  updatePointCoords();
+  pointsEmpty.hidden = points.length > 0;
+  pointList.replaceChildren(...points.map((p, i)=>{
+    const row   = document.createElement('div');
+    const num   = Object.assign(document.createElement('button'), { textContent:i+1, title:'Show Page', className:'ptNum' });
+    const page  = Object.assign(document.createElement('span'), { textContent:`p. ${pageLabels?.[p.page-1] ?? p.page}`, className:'ptPage' });
+    const coord = Object.assign(document.createElement('code'), { textContent:p.coord, className:'ptCoord' });
+    const name  = Object.assign(document.createElement('input'), { type:'text', value:p.name, placeholder:`p${i+1}`, className:'ptName' });
+    const del   = Object.assign(document.createElement('button'), { textContent:'✕', title:'Delete Point' });
+    num.addEventListener('click', ()=>{
+      selectPoint(p);
+      if (p.page!==pageNum) { pageNum = p.page; renderPage(pageNum); }
+    });
+    // one undo step per edit of the field
+    let before = null;
+    name.addEventListener('focus', ()=>before = snapshot());
+    name.addEventListener('change', ()=>{ if (before) pushHistory(before); before = snapshot(); });
+    name.addEventListener('input', ()=>{ p.name = name.value; updatePointExport(); drawOverlay(); });
+    del.addEventListener('click', ()=>{ pushHistory(); points.splice(i, 1); renderPointList(); drawOverlay(); });
+    row.className = p===selected ? 'pointRow selected' : 'pointRow';
+    row.append(num, page, coord, name, del);
+    return row;
+  }));
+  markPointNames();
+}
+
+/** Numbered markers of the captured points on the shown page */
+function drawPoints() {
+  overlayCtx.strokeStyle = overlayCtx.fillStyle = 'rgba(255,255,255,0.9)';
+  overlayCtx.lineWidth = 1.5;
+  overlayCtx.setLineDash([]);
+  overlayCtx.font = '11px Arial';
+  overlayCtx.textAlign = 'left'; overlayCtx.textBaseline = 'bottom';
+  points.forEach((p, i)=>{
+    if (p.page!==pageNum) return;
+    const [x, y] = pdfToCss(...p.pdf);
+    overlayCtx.beginPath();
+    overlayCtx.arc(x, y, 6, 0, 2*Math.PI);
+    if (p===selected) { overlayCtx.moveTo(x+10, y); overlayCtx.arc(x, y, 10, 0, 2*Math.PI); }
+    overlayCtx.stroke();
+    overlayCtx.fillRect(x-1.5, y-1.5, 3, 3);
+    overlayCtx.fillText(`${i+1}${p.name ? ` ${p.name}` : ''}`, x+7, y-5);
+  });
+}
+
+// — Page boxes —
+// pdf.js only exposes the CropBox (page.view), so all boxes are read from the
+// raw PDF: plain objects by their `n g obj` header, compressed ones by
+// inflating object streams. Offsets in the latin1 text equal byte offsets.
+
+const BOX_NAMES  = ['MediaBox','CropBox','BleedBox','TrimBox','ArtBox'];
+// Overlay blends with `difference`: on white paper these show as their complement
+const BOX_STYLES = {
+  MediaBox: { color:'rgba(255,255,255,0.7)', dash:[6,3] },
+  CropBox:  { color:'rgba(255,255,0,0.8)',   dash:[2,3] },
+  BleedBox: { color:'rgba(0,255,255,0.8)',   dash:[6,2,2,2] },
+  TrimBox:  { color:'rgba(255,0,255,0.8)',   dash:[] },
+  ArtBox:   { color:'rgba(0,255,0,0.8)',     dash:[1,2] },
+};
+
+/** Inflate a FlateDecode stream */
+async function inflate(bytes) {
+  const ds = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(ds).arrayBuffer());
+}
+
+/** Index the objects of a PDF: object number → {text, pos}, later definitions win */
+async function indexObjects(bytes) {
+  const text = new TextDecoder('latin1').decode(bytes);
+  const objs = new Map();
+  const set  = (num, src, pos)=>{ if (!(objs.get(num)?.pos > pos)) objs.set(num, { text:src, pos }); };
+  const re   = /(?:^|[\s>])(\d+)\s+\d+\s+obj\b/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const end = text.indexOf('endobj', re.lastIndex);
+    if (end < 0) break;
+    set(+m[1], text.slice(re.lastIndex, end), re.lastIndex);
+    re.lastIndex = end;  // skip stream data
+  }
+
+  // Objects compressed in object streams
+  for (const [, { text:src, pos }] of [...objs]) {
+    if (!/\/Type\s*\/ObjStm/.test(src) || !/\/FlateDecode/.test(src) || /\/DecodeParms/.test(src)) continue;
+    const s = /stream\r?\n/.exec(src);
+    if (!s) continue;
+    const start = pos + s.index + s[0].length;
+    let len = /\/Length\s+(\d+)(\s+\d+\s+R)?/.exec(src);
+    len = len && (len[2] ? parseInt(objs.get(+len[1])?.text) : +len[1]);
+    if (!(len > 0)) len = src.indexOf('endstream') - s.index - s[0].length;
+    try {
+      const data  = new TextDecoder('latin1').decode(await inflate(bytes.subarray(start, start+len)));
+      const n     = +/\/N\s+(\d+)/.exec(src)?.[1];
+      const first = +/\/First\s+(\d+)/.exec(src)?.[1];
+      const hdr   = data.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i < n; i++) {
+        const from = first + hdr[2*i+1], to = i+1 < n ? first + hdr[2*i+3] : data.length;
+        set(hdr[2*i], data.slice(from, to), pos);
+      }
+    } catch { /* encrypted or damaged stream: skip */ }
+  }
+  return objs;
+}
+
+/** Normalize [x1,y1,x2,y2] so that x1<x2, y1<y2 */
+function normBox([a, b, c, d]) {
+  return [Math.min(a,c), Math.min(b,d), Math.max(a,c), Math.max(b,d)];
+}
+
+/** Intersection of two normalized boxes */
+function clipBox(a, b) {
+  return [Math.max(a[0],b[0]), Math.max(a[1],b[1]), Math.min(a[2],b[2]), Math.min(a[3],b[3])];
+}
+
+/** Read a page's boxes: {boxes: name → box, defined: names set in the PDF} */
+async function readPageBoxes(page) {
+  const found = {};
+  try {
+    const objs = await (rawObjects ??= indexObjects(rawData));
+    const deref = v => { const r = /^(\d+)\s+\d+\s+R$/.exec(v); return r ? objs.get(+r[1])?.text ?? '' : v; };
+    let num = page.ref?.num, leaf = true;
+    for (let depth = 0; num != null && depth < 64; depth++) {
+      const src = objs.get(num)?.text;
+      if (!src) break;
+      for (const name of BOX_NAMES) {
+        // only MediaBox & CropBox are inherited from the page tree
+        if (found[name] || (!leaf && name!=='MediaBox' && name!=='CropBox')) continue;
+        const m = new RegExp(`/${name}\\s*(\\[[^\\]]*\\]|\\d+\\s+\\d+\\s+R)`).exec(src);
+        const v = m && deref(m[1]).match(/[-+]?(?:\d+\.?\d*|\.\d+)/g)?.map(Number);
+        if (v?.length===4) found[name] = normBox(v);
+      }
+      leaf = false;
+      num = /\/Parent\s+(\d+)\s+\d+\s+R/.exec(src)?.[1];
+      if (num != null) num = +num;
+    }
+  } catch { /* unreadable: fall back to pdf.js' view */ }
+  return boxesWithDefaults(page, found);
+}
+
+/** A page's boxes from those found in the PDF, the others defaulted per the PDF spec */
+function boxesWithDefaults(page, found = {}) {
+  // pdf.js' view is the effective CropBox
+  const media = found.MediaBox ?? normBox(page.view);
+  const crop  = normBox(page.view);
+  const boxes = { MediaBox: media, CropBox: crop };
+  for (const name of ['BleedBox','TrimBox','ArtBox'])
+    boxes[name] = found[name] ? clipBox(found[name], media) : crop;
+  return { boxes, defined: BOX_NAMES.filter(n => found[n]) };
+}
+
+/** A PDF box as a CSS px rect {x,y,w,h} in a viewport (default: the displayed one) */
+function boxRect(box, vp = curVp) {
+  const [x1, y1] = vp.convertToViewportPoint(box[0], box[1]);
+  const [x2, y2] = vp.convertToViewportPoint(box[2], box[3]);
+  return { x:Math.min(x1,x2), y:Math.min(y1,y2), w:Math.abs(x2-x1), h:Math.abs(y2-y1) };
+}
+
+/** Rotation of the logical frame coordinates are reported in */
+function frameRotation(page = curPage) {
+  switch (frameSelect.value) {
+    case 'view': return (page.rotate + viewRotation) % 360;
+    case 'user': return 0;
+    default:     return page.rotate;   // page as intended, with /Rotate
+  }
+}
+
+/**
+ * Geometry of a page under the current frame & box settings: the viewport of the
+ * logical frame at scale 1 (`vp`) and the reference box in it (`box`, pt)
+ */
+function pageGeometry(page, boxes) {
+  const vp = page.getViewport({ scale: 1, rotation: frameRotation(page) });
+  return { vp, box: boxRect(boxes?.boxes[boxSelect.value] ?? page.view, vp) };
+}
+
+/** A page of the loaded document with its boxes, fetched once */
+function loadPage(num) {
+  if (!pageCache.has(num))
+    pageCache.set(num, pdfDoc.getPage(num).then(async page=>({ page, boxes: await readPageBoxes(page) })));
+  return pageCache.get(num);
+}
+
+/** Recompute the frame geometry for the rendered page */
+function updateRefBox() {
+  if (!curVp) return;
+  frame = pageGeometry(curPage, pageBoxes);
+}
+
+/** Rotate the view by a multiple of 90° */
+function rotateView(deg) {
+  viewRotation = (viewRotation + deg + 360) % 360;
+  if (pdfDoc) renderPage(pageNum);
+}
+
 /** Render the PDF page */
 async function renderPage(num) {
   const page = await pdfDoc.getPage(num);
-  const vp   = page.getViewport({ scale });
+  const vp   = page.getViewport({ scale, rotation: (page.rotate + viewRotation) % 360 });
   const cssW = vp.width, cssH = vp.height;
 
   // PDF canvas at DPR
@@ -63,37 +1490,160 @@ async function renderPage(num) {
   // Wrapper centering
   wrapper.style.width  = `${cssW}px`;
   wrapper.style.height = `${cssH}px`;
+  if (page!==curPage) pageBoxes = boxesWithDefaults(page);   // until the PDF is indexed
+  curPage = page; curVp = vp;
+  updateRefBox();
 
   // Render
   pdfCtx.setTransform(DPR,0,0,DPR,0,0);
   await page.render({ canvasContext: pdfCtx, viewport: vp }).promise;
   pdfCtx.setTransform(1,0,0,1,0,0);
 
+  updatePointCoords();
+  scheduleSave();
   pageIndicator.textContent = `Page ${pageNum} / ${pdfDoc.numPages}`;
+  drawOverlay();
+
+  // reading the boxes indexes the whole file, so it waits until the page is shown
+  loadPage(num).then(({ boxes })=>{
+    if (curPage!==page || pageBoxes===boxes) return;
+    pageBoxes = boxes;
+    updateRefBox();
+    refreshOverlays();
+  });
 }
 
-/** Draw crosshairs and update coords & tooltip */
-function updateOverlays(cssX, cssY) {
-  const rect = pdfCanvas.getBoundingClientRect();
-  const x    = Math.max(0, Math.min(cssX, rect.width));
-  const y    = Math.max(0, Math.min(cssY, rect.height));
-  lastCssX = x; lastCssY = y;
+/** Draw an arrow with a filled head, in CSS px */
+function drawArrow(x1, y1, x2, y2, head = 6) {
+  const a = Math.atan2(y2-y1, x2-x1);
+  overlayCtx.beginPath();
+  overlayCtx.moveTo(x1, y1);
+  overlayCtx.lineTo(x2, y2);
+  overlayCtx.stroke();
+  overlayCtx.beginPath();
+  overlayCtx.moveTo(x2, y2);
+  overlayCtx.lineTo(x2-head*Math.cos(a-0.4), y2-head*Math.sin(a-0.4));
+  overlayCtx.lineTo(x2-head*Math.cos(a+0.4), y2-head*Math.sin(a+0.4));
+  overlayCtx.closePath();
+  overlayCtx.fill();
+}
 
-  const ptX = x/scale, ptY = y/scale;
-  const coordText = `(${(ptX*PDF_UNIT_CM).toFixed(2)}cm,${(ptY*PDF_UNIT_CM).toFixed(2)}cm)`;
+/** Origin marker: a dot with arrows along the positive axes (of the picture frame) */
+function drawOriginMarker() {
+  const L = 24;
+  const toCss = (cx, cy)=>pageToCss(...coordToPage(cx, cy));
+  const [x, y] = toCss(0, 0);
+  // unit direction of an axis on screen
+  const dir = (cx, cy)=>{ const [u, v] = toCss(cx, cy), d = Math.hypot(u-x, v-y) || 1; return [(u-x)/d, (v-y)/d]; };
+  const [xu, xv] = dir(1, 0), [yu, yv] = dir(0, 1);
+  overlayCtx.setLineDash([]);
+  overlayCtx.lineWidth   = 1.5;
+  overlayCtx.strokeStyle = overlayCtx.fillStyle = 'rgba(255,255,255,0.9)';
+  overlayCtx.beginPath();
+  overlayCtx.arc(x, y, 3, 0, 2*Math.PI);
+  overlayCtx.fill();
+  drawArrow(x, y, x+xu*L, y+xv*L);
+  drawArrow(x, y, x+yu*L, y+yv*L);
+  overlayCtx.font = '10px Arial';
+  overlayCtx.textAlign = 'center'; overlayCtx.textBaseline = 'middle';
+  overlayCtx.fillText('x', x+xu*(L+7), y+xv*(L+7));
+  overlayCtx.fillText('y', x+yu*(L+7), y+yv*(L+7));
+}
 
-  coordsDiv.textContent = `Coordinates: ${coordText}`;
-  tooltip.textContent   = coordText;
-  tooltip.style.display = 'block';
-  tooltip.style.left    = `${x + TT_OFFSET}px`;
-  tooltip.style.top     = `${y + TT_OFFSET}px`;
+/** Outline every box defined in the PDF, labelled; the reference box thicker */
+function drawBoxes() {
+  overlayCtx.font = '9px Arial';
+  overlayCtx.textAlign = 'left'; overlayCtx.textBaseline = 'top';
+  pageBoxes.defined.forEach((name, i)=>{
+    const r = boxRect(pageBoxes.boxes[name]), st = BOX_STYLES[name];
+    overlayCtx.setLineDash(st.dash);
+    overlayCtx.lineWidth   = name===boxSelect.value ? 2 : 1;
+    overlayCtx.strokeStyle = overlayCtx.fillStyle = st.color;
+    overlayCtx.strokeRect(r.x+0.5, r.y+0.5, r.w-1, r.h-1);
+    overlayCtx.fillText(name, r.x+3, r.y+3+i*10);
+  });
+}
 
-  // Clear
-  overlayCtx.setTransform(1,0,0,1,0,0);
-  overlayCtx.clearRect(0,0,overlayCanvas.width,overlayCanvas.height);
+/** Anchor marker, with a rubber band to the crosshair in relative mode */
+function drawAnchor() {
+  const [x, y] = pdfToCss(...anchor);
+  overlayCtx.strokeStyle = 'rgba(255,255,255,0.9)';
+  overlayCtx.lineWidth   = 1.5;
+  overlayCtx.setLineDash([]);
+  overlayCtx.beginPath();
+  overlayCtx.arc(x, y, 5, 0, 2*Math.PI);
+  overlayCtx.moveTo(x-8, y); overlayCtx.lineTo(x+8, y);
+  overlayCtx.moveTo(x, y-8); overlayCtx.lineTo(x, y+8);
+  overlayCtx.stroke();
+  if (hover && isRelative()) drawRubberBand([x, y]);
+}
 
-  // Draw in CSS px
-  overlayCtx.setTransform(DPR,0,0,DPR,0,0);
+/** Page anchor the crosshair is measured from, with a line to it */
+function drawPageAnchor() {
+  const [px, py] = pdfToMedia(...cssToPdf(lastCssX, lastCssY));
+  const a = pageAnchorFor(px, py);
+  const [x, y] = mediaToCss(a.x, a.y);
+  overlayCtx.strokeStyle = 'rgba(255,255,255,0.9)';
+  overlayCtx.lineWidth   = 1.5;
+  overlayCtx.setLineDash([]);
+  overlayCtx.beginPath();
+  overlayCtx.moveTo(x, y-6); overlayCtx.lineTo(x+6, y);
+  overlayCtx.lineTo(x, y+6); overlayCtx.lineTo(x-6, y);
+  overlayCtx.closePath();
+  overlayCtx.stroke();
+  drawRubberBand([x, y]);
+}
+
+/** Polar readout: radius to the crosshair and the angle arc from the +x axis */
+function drawPolar() {
+  const [ax, ay] = polarCenter();
+  const [cx, cy] = pageToCoord(...cssToPage(lastCssX, lastCssY));
+  const r  = Math.hypot(cx-ax, cy-ay), a = angleDeg(cx-ax, cy-ay)*Math.PI/180;
+  const ar = Math.min(r, 30/scale);   // arc radius, pt
+  const toCss = (x, y)=>pageToCss(...coordToPage(x, y));
+  const [x0, y0] = toCss(ax, ay), [x1, y1] = toCss(ax+r+10/scale, ay);
+  overlayCtx.strokeStyle = overlayCtx.fillStyle = 'rgba(255,255,255,0.9)';
+  overlayCtx.lineWidth = 1;
+
+  // +x reference axis & radius
+  overlayCtx.setLineDash([2,3]);
+  overlayCtx.beginPath();
+  overlayCtx.moveTo(x0, y0); overlayCtx.lineTo(x1, y1);
+  overlayCtx.stroke();
+  overlayCtx.setLineDash([]);
+  overlayCtx.beginPath();
+  overlayCtx.moveTo(x0, y0); overlayCtx.lineTo(lastCssX, lastCssY);
+  overlayCtx.stroke();
+
+  // Angle arc, sampled in coordinate space so it follows flips & rotation
+  overlayCtx.lineWidth = 1.5;
+  overlayCtx.beginPath();
+  for (let i = 0, n = 48; i <= n; i++) {
+    const [x, y] = toCss(ax+ar*Math.cos(a*i/n), ay+ar*Math.sin(a*i/n));
+    i ? overlayCtx.lineTo(x, y) : overlayCtx.moveTo(x, y);
+  }
+  overlayCtx.stroke();
+}
+
+/** Calibration points joined by a dimension line */
+function drawCalibration() {
+  const [x1, y1] = pdfToCss(...calib.p1), [x2, y2] = pdfToCss(...calib.p2);
+  overlayCtx.strokeStyle = overlayCtx.fillStyle = 'rgba(255,255,255,0.9)';
+  overlayCtx.lineWidth = 1;
+  overlayCtx.setLineDash([6,2]);
+  overlayCtx.beginPath();
+  overlayCtx.moveTo(x1, y1); overlayCtx.lineTo(x2, y2);
+  overlayCtx.stroke();
+  overlayCtx.font = '10px Arial';
+  overlayCtx.textAlign = 'left'; overlayCtx.textBaseline = 'bottom';
+  [[x1, y1, '1'], [x2, y2, '2']].forEach(([x, y, n])=>{
+    overlayCtx.fillRect(x-2, y-2, 4, 4);
+    overlayCtx.fillText(n, x+4, y-2);
+  });
+}
+
+/** Crosshair through (x,y), dashed, in CSS px */
+function drawCrosshair(x, y) {
   overlayCtx.setLineDash([1,2]);
   overlayCtx.lineWidth   = 1;
   overlayCtx.strokeStyle = 'rgba(255,255,255,0.6)';
@@ -109,25 +1659,249 @@ function updateOverlays(cssX, cssY) {
   overlayCtx.moveTo(0, y+0.5);
   overlayCtx.lineTo(overlayCanvas.width/DPR, y+0.5);
   overlayCtx.stroke();
+}
+
+/** Redraw the overlay: boxes, origin & anchor markers, plus the crosshair while hovering */
+function drawOverlay() {
+  // Clear
+  overlayCtx.setTransform(1,0,0,1,0,0);
+  overlayCtx.clearRect(0,0,overlayCanvas.width,overlayCanvas.height);
+  if (!pdfDoc || !curVp) return;
 
+  // Draw in CSS px
+  overlayCtx.setTransform(DPR,0,0,DPR,0,0);
+  if (showBoxesChk.checked) drawBoxes();
+  drawOriginMarker();
+  if (calibrated()) drawCalibration();
+  if (points.length) drawPoints();
+  if (shownShape()) TOOLS[shape.tool].draw(shape);
+  if (anchor) drawAnchor();
+  if (hover && modeSelect.value==='page') drawPageAnchor();
+  if (hover && modeSelect.value==='polar') drawPolar();
+  if (hover && previewSelect.value!=='off' && !pickCallback && drag==null) drawPreview();
+  if (hover) drawCrosshair(lastCssX, lastCssY);
   overlayCtx.setTransform(1,0,0,1,0,0);
 }
 
-/** Hide overlays */
+/** Draw crosshairs and update coords & tooltip */
+function updateOverlays(cssX, cssY) {
+  if (!curVp) return;   // nothing rendered yet
+  const rect = pdfCanvas.getBoundingClientRect();
+  let   x    = Math.max(0, Math.min(cssX, rect.width));
+  let   y    = Math.max(0, Math.min(cssY, rect.height));
+  if (!pickCallback) {
+    [x, y] = snapCss(x, y);
+    x = Math.max(0, Math.min(x, rect.width)); y = Math.max(0, Math.min(y, rect.height));
+  }
+  lastCssX = x; lastCssY = y; hover = true;
+  if (drag!=null) shape.pts[drag] = cssToPdf(x, y);
+  if (movingPoint) { movingPoint.pdf = cssToPdf(x, y); movingPoint.coord = fmtCoord(...coordOf(movingPoint.pdf)); showPointCoords(); }
+
+  const coordText = coordTextAt(x, y);
+  const info      = shapeInfo();
+
+  coordsDiv.textContent = pickCallback ? pickPrompt : `Coordinates: ${coordText}${info ? ` — ${info}` : ''}`;
+  tooltip.textContent   = pickCallback ? `${pickPrompt} ${coordText}` : drag!=null ? info : coordText;
+  tooltip.style.display = 'block';
+  tooltip.style.left    = `${x + TT_OFFSET}px`;
+  tooltip.style.top     = `${y + TT_OFFSET}px`;
+
+  drawOverlay();
+}
+
+/** Redraw overlays at the last position, or just refresh the readout */
+function refreshOverlays() {
+  if (!pdfDoc || !curVp) return;   // renderPage draws once the page is there
+  updatePointCoords();
+  scheduleSave();
+  if (tooltip.style.display==='block') updateOverlays(lastCssX, lastCssY);
+  else {
+    const info = shapeInfo();
+    coordsDiv.textContent = pickCallback ? pickPrompt : `Coordinates: ${coordTextAt(lastCssX, lastCssY)}${info ? ` — ${info}` : ''}`;
+    drawOverlay();
+  }
+}
+
+/** Hide crosshair & tooltip */
 function clearOverlays() {
   tooltip.style.display = 'none';
-  overlayCtx.setTransform(1,0,0,1,0,0);
-  overlayCtx.clearRect(0,0,overlayCanvas.width,overlayCanvas.height);
+  hover = false;
+  drawOverlay();
+}
+
+/** Pick a custom origin with the next click; cancelling it restores the origin setting before */
+function pickOrigin(before = originSelect.value) {
+  originSelect.value = 'custom';
+  pickPoint('Click to set origin', (x, y)=>{
+    customOrigin = cssToPdf(x, y);
+    refreshOverlays();
+  }, ()=>{ originSelect.value = before; });
+  drawOverlay();
+}
+
+/** Apply the tikzpicture options field */
+function updatePictureTransform() {
+  const r = parsePictureOptions(tikzOptsInput.value);
+  const inv = r.m && invM(r.m);
+  tikzOptsInput.classList.toggle('invalid', !inv);
+  if (!inv) {
+    tikzOptsInput.title = r.error ?? 'Transformation is not invertible';
+    return;
+  }
+  const identity = r.m.every((v, i)=>Math.abs(v - [1,0,0,1,0,0][i]) < 1e-12);
+  pictureM   = identity ? null : r.m;
+  pictureInv = identity ? null : inv;
+  tikzOptsInput.title = r.ignored.length ? `Ignored: ${r.ignored.join(', ')}` : 'tikzpicture options';
+  refreshOverlays();
+}
+
+/** Set the anchor for relative readouts at a CSS px position, or clear it */
+function setAnchor(x, y) {
+  anchor = x==null ? null : cssToPdf(x, y);
+  if (anchor && modeSelect.value==='abs') modeSelect.value = 'rel';
+  refreshOverlays();
+}
+
+// — Sessions —
+// Points, shape, anchor, custom origin, calibration and view state are stored
+// per document in IndexedDB, keyed by its permanent fingerprint, and restored
+// when it is opened again. Saving is debounced and starts once restored.
+
+const SESSION_DB = 'pdfjs-coordinates', SESSION_STORE = 'sessions';
+let sessionDB = null;   // Promise<IDBDatabase>
+
+// View settings stored with a session, by key
+const SESSION_CONTROLS = {
+  origin: originSelect, flipX: flipXChk, flipY: flipYChk, box: boxSelect, frame: frameSelect,
+  mode: modeSelect, pageAnchor: pageAnchorSelect, tikzOptions: tikzOptsInput,
+};
+
+/** Run a request on the session store, resolving with its result */
+function sessionRequest(mode, fn) {
+  sessionDB ??= new Promise((resolve, reject)=>{
+    const req = indexedDB.open(SESSION_DB, 1);
+    req.onupgradeneeded = ()=>req.result.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+    req.onsuccess = ()=>resolve(req.result);
+    req.onerror   = ()=>reject(req.error);
+  });
+  return sessionDB.then(db=>new Promise((resolve, reject)=>{
+    const req = fn(db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE));
+    req.onsuccess = ()=>resolve(req.result);
+    req.onerror   = ()=>reject(req.error);
+  }));
+}
+
+/** The loaded document's state as a session record */
+function sessionRecord() {
+  const view = { page: pageNum, scale, rotation: viewRotation, unit, calibrated: unitSelect.value==='cal' };
+  for (const [k, el] of Object.entries(SESSION_CONTROLS)) view[k] = el.type==='checkbox' ? el.checked : el.value;
+  return {
+    id: pdfDoc.fingerprints[0], fingerprints: pdfDoc.fingerprints.filter(Boolean), name: pdfName,
+    saved: Date.now(), numPages: pdfDoc.numPages,
+    points: points.map(({ page, pdf, name })=>({ page, pdf, name })),
+    shape, anchor, customOrigin, calib, view,
+  };
+}
+
+/** Save the session shortly, coalescing bursts of changes */
+function scheduleSave() {
+  if (!sessionId) return;
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveSession, 500);
+}
+
+/** Save the session now */
+function saveSession() {
+  clearTimeout(saveTimer); saveTimer = null;
+  if (!sessionId || sessionId!==pdfDoc?.fingerprints[0]) return;
+  sessionRequest('readwrite', s=>s.put(sessionRecord())).catch(()=>{});
+}
+
+/** Stored session of a document, or null */
+function loadSession(doc) {
+  return sessionRequest('readonly', s=>s.get(doc.fingerprints[0])).catch(()=>null).then(s=>s ?? null);
+}
+
+/** Make a stored session the current state */
+function applySession(s) {
+  points = s.points.map(p=>({ ...p, coord: '' }));
+  shape = s.shape ?? null;
+  anchor = s.anchor ?? null; customOrigin = s.customOrigin ?? null;
+  const v = s.view ?? {};
+  pageNum = v.page ?? pageNum; scale = v.scale ?? scale; viewRotation = v.rotation ?? viewRotation;
+  if (v.unit in UNITS) unit = v.unit;
+  for (const [k, el] of Object.entries(SESSION_CONTROLS)) {
+    if (!(k in v)) continue;
+    if (el.type==='checkbox') el.checked = v[k]; else el.value = v[k];
+  }
+  pageAnchorSelect.hidden = modeSelect.value!=='page';
+  updatePictureTransform();
+  calib = s.calib ?? null;
+  unitSelect.value = unit;
+  applyCalibration();
+  if (calib && !v.calibrated) { unitSelect.value = unit; syncPrecision(); }
+}
+
+/** Offer a session record as a JSON download */
+function exportSession(s) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([JSON.stringify(s, null, 2)], { type: 'application/json' }));
+  a.download = `${(s.name || s.id).replace(/\.pdf$/i, '')}.session.json`;
+  a.click();
+  setTimeout(()=>URL.revokeObjectURL(a.href), 1000);
+}
+
+/** Fill the session manager with the stored sessions, newest first */
+async function renderSessionList() {
+  let sessions = [];
+  try { sessions = await sessionRequest('readonly', s=>s.getAll()); }
+  catch { /* IndexedDB unavailable */ }
+  sessions.sort((a, b)=>b.saved-a.saved);
+  sessionsEmpty.hidden = sessions.length > 0;
+  sessionList.replaceChildren(...sessions.map(s=>{
+    const row  = document.createElement('div');
+    const info = Object.assign(document.createElement('span'), {
+      className: 'sessionInfo',
+      textContent: `${s.name || s.id}${s.id===sessionId ? ' (open)' : ''} — ${s.points.length} points${s.calib ? ', calibrated' : ''}, ${new Date(s.saved).toLocaleString()}`,
+    });
+    const exp  = Object.assign(document.createElement('button'), { textContent:'Export', title:'Download as JSON' });
+    const del  = Object.assign(document.createElement('button'), { textContent:'✕', title:'Delete Session' });
+    exp.addEventListener('click', ()=>exportSession(s));
+    del.addEventListener('click', ()=>sessionRequest('readwrite', st=>st.delete(s.id)).catch(()=>{}).then(renderSessionList));
+    row.className = 'templateRow';
+    row.append(info, exp, del);
+    return row;
+  }));
 }
 
 /** Load PDF */
 function loadPDF(data) {
   const keep = retainViewport.checked;
-  pdfjsLib.getDocument(data).promise.then(doc => {
-    pdfDoc = doc;
-    if (!keep) { pageNum=1; scale=parseFloat(zoomSelect.value); }
+  if (saveTimer) saveSession();   // flush the previous document's changes
+  sessionId = null;
+  rawData = data; rawObjects = null;
+  // pdf.js transfers (detaches) the buffer it gets, so hand it a copy
+  pdfjsLib.getDocument(data.slice()).promise.then(async doc => {
+    // a reload keeps the document's state; another document gets its stored session
+    const same    = pdfDoc?.fingerprints[0]===doc.fingerprints[0];
+    const session = same ? null : await loadSession(doc);
+    if (!same) { points = []; shape = null; undoStack = []; redoStack = []; }
+    pdfDoc = doc; pageCache = new Map();
+    if (!keep) { pageNum=1; scale=parseFloat(zoomSelect.value); viewRotation=0; }
+    if (session) applySession(session);
+    else if (!same) {
+      // positions picked on the previous document mean nothing on this one
+      anchor = null; customOrigin = null;
+      if (originSelect.value==='custom') originSelect.value = 'tl';
+      tikzOptsInput.value = ''; updatePictureTransform();
+      calib = null; applyCalibration();
+    }
     pageNum = Math.min(Math.max(1,pageNum), pdfDoc.numPages);
     zoomSelect.value = scale.toString();  // sync dropdown
+    pageLabels = null;
+    doc.getPageLabels().then(l=>{ if (pdfDoc===doc) { pageLabels = l; renderPointList(); } }).catch(()=>{});
+    renderPointList();
+    sessionId = doc.fingerprints[0];
     renderPage(pageNum);
   });
 }
@@ -138,26 +1912,130 @@ fileInput.addEventListener('change', e => {
   const f = e.target.files[0];
   if (!f||f.type!=='application/pdf') return;
   const r = new FileReader();
-  r.onload = ()=>{ pdfData=new Uint8Array(r.result); loadPDF(pdfData); };
+  r.onload = ()=>{ pdfData=new Uint8Array(r.result); pdfName=f.name; loadPDF(pdfData); };
   r.readAsArrayBuffer(f);
 });
 prevBtn.addEventListener('click', ()=>{ if(pageNum>1) pageNum--,renderPage(pageNum); });
 nextBtn.addEventListener('click', ()=>{ if(pageNum<pdfDoc.numPages) pageNum++,renderPage(pageNum); });
 zoomSelect.addEventListener('change', ()=>{ scale=parseFloat(zoomSelect.value); renderPage(pageNum); });
+unitSelect.addEventListener('change', ()=>{
+  if (unitSelect.value!=='cal') unit = unitSelect.value;   // last physical unit
+  syncPrecision();
+  refreshOverlays();
+});
+precisionInput.addEventListener('input', ()=>{
+  const d = parseInt(precisionInput.value, 10);
+  if (d >= 0 && d <= 10) { precision[calibrated() ? 'cal' : unit] = d; refreshOverlays(); }
+});
+snapInput.addEventListener('input', ()=>{
+  snapInput.classList.toggle('invalid', !!snapInput.value.trim() && !snapStep());
+  refreshOverlays();
+});
+originSelect.addEventListener('focus', ()=>originBefore = originSelect.value);
+originSelect.addEventListener('change', ()=>{
+  if (originSelect.value==='custom' && !customOrigin) pickOrigin(originBefore);
+  else originBefore = originSelect.value;
+  refreshOverlays();
+});
+flipXChk.addEventListener('change', refreshOverlays);
+flipYChk.addEventListener('change', refreshOverlays);
+boxSelect.addEventListener('change', ()=>{ updateRefBox(); refreshOverlays(); });
+showBoxesChk.addEventListener('change', ()=>drawOverlay());
+rotLeftBtn.addEventListener('click', ()=>rotateView(-90));
+rotRightBtn.addEventListener('click', ()=>rotateView(90));
+frameSelect.addEventListener('change', ()=>{ updateRefBox(); refreshOverlays(); });
+modeSelect.addEventListener('change', ()=>{
+  pageAnchorSelect.hidden = modeSelect.value!=='page';
+  refreshOverlays();
+});
+pageAnchorSelect.addEventListener('change', refreshOverlays);
+tikzOptsInput.addEventListener('input', updatePictureTransform);
+calibrateBtn.addEventListener('click', ()=>{ if (pdfDoc) startCalibration(); });
+uncalibrateBtn.addEventListener('click', ()=>{ calib = null; applyCalibration(); });
 
 pdfCanvas.addEventListener('mousemove', e=>{
-  const r = pdfCanvas.getBoundingClientRect();
-  updateOverlays(e.clientX-r.left, e.clientY-r.top);
+  const r = pdfCanvas.getBoundingClientRect(), x = e.clientX-r.left, y = e.clientY-r.top;
+  if (!curVp) return;
+  updateOverlays(x, y);
+  // markers & handles can be dragged
+  pdfCanvas.style.cursor = movingPoint || drag!=null || pointAt(x, y) || shapePointAt(x, y)!=null ? 'move' : '';
 });
 pdfCanvas.addEventListener('mouseleave', clearOverlays);
 
-pdfCanvas.addEventListener('click', ()=>{
+// Capture tools: press & drag on the canvas (or a shape's handle), released anywhere
+pdfCanvas.addEventListener('mousedown', e=>{
+  swallowClick = false;
+  if (e.button!==0 || e.shiftKey || !curVp || pickCallback) return;
+  const r = pdfCanvas.getBoundingClientRect(), t = activeTool();
+  // a point marker: select it and drag it
+  const p = pointAt(e.clientX-r.left, e.clientY-r.top);
+  if (p) {
+    e.preventDefault();
+    pressState = snapshot();
+    selectPoint(p);
+    movingPoint = p; swallowClick = true;
+    return;
+  }
+  const hit = shapePointAt(e.clientX-r.left, e.clientY-r.top);
+  if (hit==null && !t.press) return;
+  e.preventDefault();
+  pressState = snapshot();
+  drag = hit ?? t.press(cssToPdf(lastCssX, lastCssY));
+  swallowClick = true;
+  refreshOverlays();
+});
+document.addEventListener('mouseup', ()=>{
+  if (drag!=null) {
+    finishShape();
+    pushHistoryIfChanged(pressState);   // unmoved handles and dropped shapes leave no step
+    pressState = null;
+  }
+  if (movingPoint) {
+    pushHistoryIfChanged(pressState);   // a click only selects
+    movingPoint = pressState = null;
+    refreshOverlays();
+  }
+});
+pdfCanvas.addEventListener('dblclick', e=>{
+  if (!shownShape()?.building) return;
+  e.preventDefault();
+  finishShape();
+});
+toolSelect.addEventListener('change', ()=>{ syncToolOptions(); refreshOverlays(); });
+rectOutputSelect.addEventListener('change', refreshOverlays);
+pathOutputSelect.addEventListener('change', refreshOverlays);
+circleOutputSelect.addEventListener('change', refreshOverlays);
+previewSelect.addEventListener('change', ()=>{ previewOpts.hidden = previewSelect.value==='off'; drawOverlay(); });
+for (const input of [previewTextInput, previewFontInput, previewLineInput, previewVecInput])
+  input.addEventListener('input', ()=>drawOverlay());
+
+pdfCanvas.addEventListener('click', e=>{
+  if (pickCallback) {
+    const fn = pickCallback;
+    pickCallback = pickCancelled = null; pickPrompt = '';
+    fn(lastCssX, lastCssY);
+    return;
+  }
+  if (swallowClick) { swallowClick = false; return; }
+  if (!curVp) return;
+  // Shift+click: set anchor
+  if (e.shiftKey) { setAnchor(lastCssX, lastCssY); return; }
+  const t = activeTool();
+  if (t.click) {
+    const before = snapshot();
+    t.click(cssToPdf(lastCssX, lastCssY));
+    pushHistoryIfChanged(before);   // e.g. the second click of a double-click adds no vertex
+    refreshOverlays();
+    return;
+  }
+  if (t!==TOOLS.point) return;
+  addPoint(lastCssX, lastCssY);
   if (!autoCopyChk.checked) return;
-  const txt = tooltip.textContent || '';
-  navigator.clipboard.writeText(txt).catch(()=>{});
-  clearTimeout(copyTimeout);
-  tooltip.textContent = `Copied: ${txt}`;
-  copyTimeout = setTimeout(()=>tooltip.style.display='none', 1200);
+  const txt = copyTextAt(lastCssX, lastCssY);
+  writeClipboard(txt, pointPayload(lastCssX, lastCssY, txt));
+  // `++` moves TikZ's current point, so the anchor follows
+  if (isRelative() && modeSelect.value==='rel') { anchor = cssToPdf(lastCssX, lastCssY); drawOverlay(); }
+  showCopied(txt);
 });
 
 // Drag & drop
@@ -167,7 +2045,7 @@ pdfCanvas.addEventListener('drop', e=>{
   const f=e.dataTransfer.files[0];
   if(f&&f.type==='application/pdf'){
     const r=new FileReader();
-    r.onload=()=>{ pdfData=new Uint8Array(r.result); loadPDF(pdfData); };
+    r.onload=()=>{ pdfData=new Uint8Array(r.result); pdfName=f.name; loadPDF(pdfData); };
     r.readAsArrayBuffer(f);
   }
 });
@@ -176,12 +2054,77 @@ pdfCanvas.addEventListener('drop', e=>{
 helpBtn.addEventListener('click', ()=>helpOverlay.style.display='flex');
 helpOverlay.addEventListener('click', ()=>helpOverlay.style.display='none');
 
+// Captured points
+clearPointsBtn.addEventListener('click', ()=>{
+  if (!points.length) return;
+  pushHistory(); points = []; renderPointList(); drawOverlay();
+});
+copyPointsBtn.addEventListener('click', ()=>{
+  navigator.clipboard.writeText(pointExport.value).catch(()=>{});
+  copyPointsBtn.textContent = 'Copied!';
+  setTimeout(()=>copyPointsBtn.textContent = 'Copy', 1200);
+});
+
+// Session manager
+sessionsBtn.addEventListener('click', ()=>{ if (saveTimer) saveSession(); renderSessionList(); sessionOverlay.style.display='flex'; });
+sessionOverlay.addEventListener('click', e=>{ if(e.target===sessionOverlay) sessionOverlay.style.display='none'; });
+document.getElementById('closeSessionsBtn').addEventListener('click', ()=>sessionOverlay.style.display='none');
+window.addEventListener('pagehide', ()=>{ if (saveTimer) saveSession(); });
+
+// Copy templates
+syncToolOptions();
+buildFormatSelect();
+formatSelect.addEventListener('change', syncFormatOptions);
+templatesBtn.addEventListener('click', ()=>{ renderTemplateList(); templateOverlay.style.display='flex'; });
+templateOverlay.addEventListener('click', e=>{ if(e.target===templateOverlay) templateOverlay.style.display='none'; });
+document.getElementById('closeTemplatesBtn').addEventListener('click', ()=>templateOverlay.style.display='none');
+addTemplateBtn.addEventListener('click', ()=>{
+  userTemplates.push({ name:`Template ${userTemplates.length+1}`, tpl:'{coord}' });
+  templatesChanged(); renderTemplateList();
+  templateList.lastElementChild?.querySelector('.tplText').focus();
+});
+
 // Keyboard
 document.addEventListener('keydown', e=>{
   if(e.key==='Escape' && helpOverlay.style.display==='flex'){
     helpOverlay.style.display='none'; e.preventDefault(); return;
   }
+  if(e.key==='Escape' && templateOverlay.style.display==='flex'){
+    templateOverlay.style.display='none'; e.preventDefault(); return;
+  }
+  if(e.key==='Escape' && sessionOverlay.style.display==='flex'){
+    sessionOverlay.style.display='none'; e.preventDefault(); return;
+  }
   if(!pdfDoc) return;
+  // Typing in text fields is not a hotkey
+  if(e.target.matches?.('input[type=text], textarea')) return;
+
+  // Esc cancels a pending pick, then clears the anchor
+  if(e.key==='Escape' && pickCallback){
+    cancelPick(); e.preventDefault(); refreshOverlays(); return;
+  }
+  // Esc drops the captured shape; Enter finishes a path, or copies the shape
+  if(e.key==='Escape' && shownShape()){
+    if(drag==null) pushHistory();
+    shape=null; drag=null; e.preventDefault(); refreshOverlays(); return;
+  }
+  if(e.key==='Enter' && shownShape() && drag==null){
+    e.preventDefault(); shape.building ? finishShape() : copyShape(); return;
+  }
+  if(e.key==='Escape' && selected){
+    e.preventDefault(); selectPoint(null); return;
+  }
+  if(e.key==='Escape' && anchor){
+    e.preventDefault(); setAnchor(null); return;
+  }
+
+  // Undo: Ctrl+Z, redo: Ctrl+Shift+Z or Ctrl+Y
+  if(e.ctrlKey&&!e.altKey&&(e.key==='z'||e.key==='Z')){
+    e.preventDefault(); e.shiftKey ? redo() : undo(); return;
+  }
+  if(e.ctrlKey&&!e.altKey&&!e.shiftKey&&(e.key==='y'||e.key==='Y')){
+    e.preventDefault(); redo(); return;
+  }
 
   // Scroll: Arrow/Page (no Alt)
   if(['ArrowUp','ArrowDown','ArrowLeft','ArrowRight','PageUp','PageDown'].includes(e.key) && !e.altKey){
@@ -191,9 +2134,13 @@ document.addEventListener('keydown', e=>{
     return;
   }
 
-  // Alt+Arrow => nudge crosshair
+  // Alt+Arrow => nudge the selected point, else the crosshair
   if(e.altKey&&!e.ctrlKey&&!e.shiftKey && ['ArrowUp','ArrowDown','ArrowLeft','ArrowRight'].includes(e.key)){
-    const s=1;
+    const s=snapStepCss();  // a whole grid step when snapping
+    if(selected?.page===pageNum && !movingPoint){
+      const [dx,dy]={ ArrowUp:[0,-s], ArrowDown:[0,s], ArrowLeft:[-s,0], ArrowRight:[s,0] }[e.key];
+      e.preventDefault(); nudgePoint(selected,dx,dy); return;
+    }
     switch(e.key){
       case 'ArrowUp':    lastCssY=Math.max(0,lastCssY-s); break;
       case 'ArrowDown':  lastCssY=Math.min(overlayCanvas.height/DPR,lastCssY+s); break;
@@ -239,6 +2186,22 @@ document.addEventListener('keydown', e=>{
   if(!e.altKey&&!e.ctrlKey&&!e.shiftKey&&(e.key==='r'||e.key==='R')){
     e.preventDefault(); pdfData&&loadPDF(pdfData); return;
   }
+  // Rotate view: [ / ]
+  if(!e.altKey&&!e.ctrlKey&&(e.key==='['||e.key===']')){
+    e.preventDefault(); rotateView(e.key===']'?90:-90); return;
+  }
+  // Anchor at crosshair: A
+  if(!e.altKey&&!e.ctrlKey&&!e.shiftKey&&(e.key==='a'||e.key==='A')){
+    e.preventDefault(); setAnchor(lastCssX, lastCssY); return;
+  }
+  // Calibrate: K
+  if(!e.altKey&&!e.ctrlKey&&!e.shiftKey&&(e.key==='k'||e.key==='K')){
+    e.preventDefault(); startCalibration(); return;
+  }
+  // Custom origin: O
+  if(!e.altKey&&!e.ctrlKey&&!e.shiftKey&&(e.key==='o'||e.key==='O')){
+    e.preventDefault(); pickOrigin(); return;
+  }
   // Help: H
   if(!e.altKey&&!e.ctrlKey&&!e.shiftKey&&(e.key==='h'||e.key==='H')){
     e.preventDefault(); helpOverlay.style.display='flex'; return;